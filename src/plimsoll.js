@@ -1,4 +1,9 @@
-const cloneDeep = require('lodash/cloneDeep');
+const asyncHooks = require('async_hooks');
+const crypto     = require('crypto');
+const { EventEmitter } = require('events');
+const cloneDeep  = require('lodash/cloneDeep');
+const isMatch    = require('lodash/isMatch');
+const { types:pgTypes } = require('pg');
 
 const fmt = require('pg-format');
 const esc = {
@@ -10,14 +15,30 @@ const esc = {
 
 const NOW = { NOW:'NOW' }; // placeholder for timestamp of query execution
 
+const DEFAULT_PAGE_SIZE         = 30; // same as waterline
+const DEFAULT_STREAM_BATCH_SIZE = 30; // same as waterline
+
+const META_KEYS = [
+  'makeLikeModifierCaseInsensitive',
+  'populateStrategy',
+  'schemaName',
+  'skipAllLifecycleCallbacks',
+];
+
 const NO_OP = (emptyValue, overrides) => {
   const returnable = {
+    abort:           () => returnable,
+    after:           () => returnable,
     fetch:           () => returnable,
     intercept:       () => returnable,
     limit:           () => returnable,
     meta:            () => returnable,
+    paginate:        () => returnable,
     populate:        () => returnable,
+    skip:            () => returnable,
     sort:            () => returnable,
+    timeout:         () => returnable,
+    tolerate:        () => returnable,
     usingConnection: () => returnable,
     then: resolve => { resolve(emptyValue); },
     ...overrides,
@@ -25,16 +46,112 @@ const NO_OP = (emptyValue, overrides) => {
   return returnable;
 };
 
-module.exports = (pool, models, defaultAttributes={}) => {
+/**
+ * Attribute validation rules, as in waterline.  Rules may be configured
+ * directly on the attribute, or in its `validations` property.
+ */
+const VALIDATION_RULES = {
+  custom:    { check:(v, fn) => fn(v),                                               message:() => 'Value failed custom validation' },
+  isEmail:   { check:v => typeof v === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v), message:() => 'Value should be a valid email address' },
+  isIn:      { check:(v, values) => values.includes(v),                              message:values => `Value should be one of: ${values.join(', ')}` },
+  isInteger: { check:v => Number.isInteger(v),                                       message:() => 'Value should be an integer' },
+  isURL:     { check:v => isURL(v),                                                  message:() => 'Value should be a valid URL' },
+  max:       { check:(v, max) => v <= max,                                           message:max => `Value should be no greater than ${max}` },
+  maxLength: { check:(v, max) => v.length <= max,                                    message:max => `Value should be no longer than ${max} characters` },
+  min:       { check:(v, min) => v >= min,                                           message:min => `Value should be no less than ${min}` },
+  minLength: { check:(v, min) => v.length >= min,                                    message:min => `Value should be at least ${min} characters long` },
+  regex:     { check:(v, regex) => new RegExp(regex).test(v),                        message:regex => `Value should match ${regex}` },
+};
+
+/**
+ * information_schema data_types which can hold each attribute type.
+ * Attributes of type ref, or with no type, may use any column type.
+ */
+const COLUMN_TYPES = {
+  boolean: [ 'boolean' ],
+  json:    [ 'json', 'jsonb' ],
+  number:  [ 'bigint', 'double precision', 'integer', 'numeric', 'real', 'smallint' ],
+  string:  [ 'character', 'character varying', 'text', 'USER-DEFINED', 'uuid' ],
+};
+
+/**
+ * Common spellings of postgres types, mapped to their udt_name in
+ * information_schema, for comparison with an attribute's columnType.
+ */
+const UDT_NAMES = {
+  bigint:                     'int8',
+  bigserial:                  'int8',
+  boolean:                    'bool',
+  char:                       'bpchar',
+  character:                  'bpchar',
+  'character varying':        'varchar',
+  decimal:                    'numeric',
+  'double precision':         'float8',
+  int:                        'int4',
+  integer:                    'int4',
+  real:                       'float4',
+  serial:                     'int4',
+  smallint:                   'int2',
+  'timestamp with time zone': 'timestamptz',
+  'timestamp without time zone': 'timestamp',
+};
+
+let cursorCount = 0;
+
+/**
+ * Map from column name to attribute name, for models with any columnName
+ * set.
+ */
+const attributesByColumn = new WeakMap();
+
+/**
+ * The datastore which leased each transaction's (or leaseConnection()'s)
+ * connection, so that transactions can be prevented from spanning datastores.
+ */
+const connectionOwners = new WeakMap();
+
+/**
+ * How many transactions are open on each connection, so that nested
+ * transactions can use savepoints.
+ */
+const transactionDepths = new WeakMap();
+
+const ISOLATION_LEVELS = [ 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE' ];
+
+/**
+ * Errors after which a transaction may succeed if re-run: serialization
+ * failure and deadlock.
+ */
+const TRANSIENT_ERRORS = [ '40001', '40P01' ];
+const DEFAULT_RETRY_BACKOFF = 20;   // ms, doubled for each retry
+const MAX_RETRY_BACKOFF     = 5000; // ms
+
+const DEFAULT_SLOW_QUERY_THRESHOLD = 1000; // ms
+
+/**
+ * Options:
+ *
+ *   ambientTransactions: run queries inside a transaction() callback on the
+ *       transaction's connection, without needing usingConnection()
+ */
+module.exports = (pool, models, defaultAttributes={}, { ambientTransactions }={}) => {
   models            = cloneDeep(models);
   defaultAttributes = cloneDeep(defaultAttributes);
 
+  const ambient = ambientTransactions && newAsyncLocalStorage();
+  const events = new EventEmitter();
+  // The same type parsers as the pool's clients use for query results.
+  const types = (pool.options && pool.options.types) || pgTypes;
+  // Set on each connection by pg, so applies to queries without a timeout().
+  const defaultTimeout = parseInt((pool.options && pool.options.statement_timeout) || 0, 10);
+
   Object.entries(models)
     .forEach(([ modelName, model ]) => {
       initialiseModel(modelName, model);
     });
 
-  return { sendNativeQuery, transaction, models };
+  const datastore = { leaseConnection, logSlowQueries, off, on, sendNativeQuery, transaction, verifySchema, withoutTransaction, models };
+  return datastore;
 
   function getModelWithName(name) {
     for(const model of Object.values(models)) {
@@ -45,12 +162,105 @@ module.exports = (pool, models, defaultAttributes={}) => {
     throw new Error(`Model not found: ${name}`);
   }
 
-  async function transaction(fn) {
-    const client = await pool.connect();
+  function requireOwnConnection(client) {
+    const owner = connectionOwners.get(client);
+    if(owner && owner !== datastore) {
+      throw new Error('Cannot use a connection from a different datastore: transactions cannot span datastores.');
+    }
+    return client;
+  }
+
+  /**
+   * Run fn(connection) in a transaction, e.g.
+   *
+   *   await transaction(async tx => { ... }, { isolationLevel:'SERIALIZABLE', readOnly:true, deferrable:true });
+   *
+   * As in waterline, an existing connection may be supplied with
+   * usingConnection().  A transaction on a connection which is already in a
+   * transaction is nested using a savepoint, so that it can be rolled back
+   * alone:
+   *
+   *   await transaction(async tx => {
+   *     await transaction(async tx => { ... }).usingConnection(tx);
+   *   });
+   *
+   * N.B. without usingConnection(), and unless the datastore has
+   * ambientTransactions set, a transaction() started inside another's fn is
+   * not nested: it is a separate transaction, on another connection.
+   *
+   * With `retries`, a transaction which fails with a serialization failure or
+   * deadlock is rolled back and fn is re-run, after a random delay of up to
+   * `backoff` ms, doubling for each retry.  `backoff` may also be a function
+   * of the attempt number.  If the retries run out, the final error is thrown
+   * with `err.attempts` set.
+   *
+   * The transaction is started when the returned value is first awaited (or
+   * then(), catch() or finally() is called), and only run once.
+   */
+  function transaction(fn, opts={}) {
+    let { connection } = opts;
+    let promise;
+
+    const returnable = {
+      catch:   onRejected => start().catch(onRejected),
+      finally: onFinally  => start().finally(onFinally),
+      then:    (onFulfilled, onRejected) => start().then(onFulfilled, onRejected),
+      usingConnection,
+    };
+    return returnable;
+
+    function usingConnection(client) {
+      if(promise) {
+        throw new Error('usingConnection() must be called before the transaction is started.');
+      }
+      connection = requireOwnConnection(client);
+      return returnable;
+    }
+
+    function start() {
+      if(!promise) {
+        promise = openTransaction(fn, { ...opts, connection });
+      }
+      return promise;
+    }
+  }
+
+  async function openTransaction(fn, opts) {
+    const { retries=0, backoff=DEFAULT_RETRY_BACKOFF } = opts;
+    const connection = opts.connection || ambientConnection();
+    const begin = buildBeginQuery(opts);
+
+    if(connection && transactionDepths.get(requireOwnConnection(connection))) {
+      if(begin !== 'BEGIN' || retries) {
+        throw new Error('Cannot set isolationLevel, readOnly, deferrable or retries for a nested transaction.');
+      }
+      return savepoint(connection, fn);
+    }
+
+    for(let attempt=1; ; ++attempt) {
+      try {
+        return await runTransaction(connection, begin, fn);
+      } catch(err) {
+        if(!retries || !isTransientError(err)) {
+          throw err;
+        }
+        if(attempt > retries) {
+          err.attempts = attempt;
+          throw err;
+        }
+        await sleep(getRetryDelay(backoff, attempt));
+      }
+    }
+  }
+
+  async function runTransaction(connection, begin, fn) {
+    const client = connection || await pool.connect();
+    if(!connection) connectionOwners.set(client, datastore);
+    transactionDepths.set(client, 1);
     try {
-      await client.query('BEGIN');
+      await client.query(begin);
 
-      const res = await fn(client);
+      const res = await withAmbientConnection(client, fn);
 
       await client.query('COMMIT');
 
@@ -59,18 +269,338 @@ module.exports = (pool, models, defaultAttributes={}) => {
       await client.query('ROLLBACK');
       throw err;
     } finally {
-      client.release();
+      transactionDepths.delete(client);
+      if(!connection) {
+        connectionOwners.delete(client);
+        client.release();
+      }
+    }
+  }
+
+  /**
+   * Run fn(connection) with a connection leased from the pool, as in
+   * waterline:
+   *
+   *   await leaseConnection(async db => { ... });
+   *
+   * As with transaction(), fn is run once, when first awaited.
+   */
+  function leaseConnection(fn) {
+    let promise;
+
+    const returnable = {
+      catch:   onRejected => start().catch(onRejected),
+      finally: onFinally  => start().finally(onFinally),
+      then:    (onFulfilled, onRejected) => start().then(onFulfilled, onRejected),
+    };
+    return returnable;
+
+    function start() {
+      if(!promise) {
+        promise = lease();
+      }
+      return promise;
+    }
+
+    async function lease() {
+      const client = await pool.connect();
+      connectionOwners.set(client, datastore);
+      try {
+        return await withAmbientConnection(client, fn);
+      } finally {
+        connectionOwners.delete(client);
+        client.release();
+      }
+    }
+  }
+
+  async function savepoint(client, fn) {
+    const depth = transactionDepths.get(client);
+    const name = `plimsoll_savepoint_${depth}`;
+
+    transactionDepths.set(client, depth + 1);
+    try {
+      await client.query(`SAVEPOINT ${name}`);
+
+      const res = await withAmbientConnection(client, fn);
+
+      await client.query(`RELEASE SAVEPOINT ${name}`);
+
+      return res;
+    } catch(err) {
+      await client.query(`ROLLBACK TO SAVEPOINT ${name}`);
+      throw err;
+    } finally {
+      transactionDepths.set(client, depth);
+    }
+  }
+
+  /**
+   * With ambientTransactions, queries run by fn use the transaction's
+   * connection unless given another with usingConnection().  The connection
+   * is forgotten when fn completes, so that any stray queries still running
+   * use the pool rather than a released connection.
+   */
+  async function withAmbientConnection(client, fn) {
+    if(!ambient) {
+      return fn(client);
+    }
+    const store = { client };
+    try {
+      return await ambient.run(store, async () => await fn(client));
+    } finally {
+      store.client = undefined;
+    }
+  }
+
+  function ambientConnection() {
+    const store = ambient && ambient.getStore();
+    return store && store.client;
+  }
+
+  /**
+   * Run fn outside of any ambient transaction: queries which it runs use
+   * connections from the pool, unless given one with usingConnection().  fn
+   * may return a query, which is run before leaving, e.g.
+   *
+   *   await withoutTransaction(() => AuditLog.create({ ... }));
+   */
+  async function withoutTransaction(fn) {
+    if(!ambient) {
+      return fn();
+    }
+    return ambient.run({}, async () => await fn());
+  }
+
+  /**
+   * Listen to query events:
+   *
+   *   queryStart:   { sql, params, paramCount, model, method, schemaName }
+   *   querySuccess: { ...queryStart, duration, rowCount }
+   *   queryError:   { ...queryStart, duration, error }
+   *
+   * model is the model's globalId, method is the model method (e.g. 'find')
+   * or 'sendNativeQuery', and duration is in ms.
+   */
+  function on(eventName, listener) {
+    events.on(eventName, listener);
+    return datastore;
+  }
+
+  function off(eventName, listener) {
+    events.removeListener(eventName, listener);
+    return datastore;
+  }
+
+  function emit(eventName, event) {
+    try {
+      events.emit(eventName, event);
+    } catch(err) {
+      // A broken listener should not break the query.
+      process.emitWarning(`plimsoll ${eventName} listener failed: ${err.stack}`);
+    }
+  }
+
+  async function runQuery(client, sql, params, { Model, method, schemaName }) {
+    const event = { sql, params:params || [], paramCount:(params || []).length, model:Model && Model.globalId, method, schemaName };
+    emit('queryStart', event);
+
+    const start = process.hrtime();
+    try {
+      const result = await client.query(sql, params);
+      emit('querySuccess', { ...event, duration:elapsedMs(start), rowCount:result.rowCount });
+      return result;
+    } catch(error) {
+      emit('queryError', { ...event, duration:elapsedMs(start), error });
+      throw error;
     }
   }
 
+  /**
+   * Log queries which take at least `threshold` ms, including failed ones, with
+   * the supplied `log` function.  Parameters are replaced with '[REDACTED]'
+   * unless `redact` is false, or passed through `redact(param, index)` if it
+   * is a function.  Returns a function which stops logging.
+   *
+   *   logSlowQueries({ threshold:500, log:(message, details) => logger.warn(message, details) });
+   */
+  function logSlowQueries({ threshold=DEFAULT_SLOW_QUERY_THRESHOLD, redact=true, log }={}) {
+    if(typeof log !== 'function') {
+      throw new Error('logSlowQueries() requires a log function.');
+    }
+
+    const listener = ({ sql, params, model, method, schemaName, duration, rowCount, error }) => {
+      if(duration < threshold) return;
+
+      const details = { duration, model, method, schemaName, sql, params:redactParams(params, redact), rowCount };
+      if(error) {
+        details.error = error.message;
+      }
+      log(`plimsoll: slow query (${Math.round(duration)}ms)`, details);
+    };
+    on('querySuccess', listener);
+    on('queryError',   listener);
+
+    return () => {
+      off('querySuccess', listener);
+      off('queryError',   listener);
+    };
+  }
+
+  /**
+   * Compare each model's table, columns, types, nullability and primary key
+   * with information_schema, e.g.
+   *
+   *   await datastore.verifySchema()
+   *     => [ { model:'User', table:'user', problem:'missingColumn', attribute:'email', column:'email' } ]
+   *
+   * Each difference has one of these problems:
+   *
+   *   missingTable:  the model's table (or join table) does not exist
+   *   missingColumn: an attribute's column does not exist
+   *   typeMismatch:  the column's type cannot hold the attribute's type
+   *                  (or does not match its columnType)
+   *   nullability:   the column is NOT NULL, but the attribute may be null
+   *   primaryKey:    the table's primary key is not the model's primaryKey
+   *
+   * An empty array means that the schema matches the models.
+   */
+  async function verifySchema({ schemaName='public' }={}) {
+    const tables = {};
+    const { rows:columns } = await sendNativeQuery(`
+      SELECT table_name, column_name, data_type, udt_name, is_nullable
+        FROM information_schema.columns
+       WHERE table_schema = $1
+    `, [ schemaName ], { method:'verifySchema' });
+    columns.forEach(column => {
+      tables[column.table_name] = { ...tables[column.table_name], [column.column_name]:column };
+    });
+
+    const primaryKeys = {};
+    const { rows:keyColumns } = await sendNativeQuery(`
+      SELECT kcu.table_name, kcu.column_name
+        FROM information_schema.table_constraints tc
+        JOIN information_schema.key_column_usage kcu
+          ON kcu.constraint_schema = tc.constraint_schema
+         AND kcu.constraint_name   = tc.constraint_name
+       WHERE tc.constraint_type = 'PRIMARY KEY'
+         AND tc.table_schema = $1
+       ORDER BY kcu.ordinal_position
+    `, [ schemaName ], { method:'verifySchema' });
+    keyColumns.forEach(({ table_name, column_name }) => {
+      primaryKeys[table_name] = [ ...(primaryKeys[table_name] || []), column_name ];
+    });
+
+    const diff = [];
+    const joinTables = new Set();
+    Object.values(models).forEach(Model => {
+      const report = (problem, details) => diff.push({ model:Model.globalId, table:Model.tableName, problem, ...details });
+
+      Object.keys(Model.attributes)
+        .filter(attr => Model.attributes[attr].collection)
+        .map(attr => getCollectionAssociation(Model, attr))
+        .filter(({ Through, joinTable }) => joinTable && !Through && !joinTables.has(joinTable))
+        .forEach(({ joinTable, parentCol, childCol }) => {
+          joinTables.add(joinTable);
+          if(!tables[joinTable]) {
+            return report('missingTable', { table:joinTable });
+          }
+          [ parentCol, childCol ]
+            .filter(col => !tables[joinTable][col])
+            .forEach(col => report('missingColumn', { table:joinTable, column:col }));
+        });
+
+      const table = tables[Model.tableName];
+      if(!table) {
+        return report('missingTable');
+      }
+
+      Object.entries(Model.attributes)
+        .filter(([ attr ]) => isColumn(Model, attr))
+        .forEach(([ attribute, cfg ]) => {
+          const column = columnName(Model, attribute);
+          if(!table[column]) {
+            return report('missingColumn', { attribute, column });
+          }
+
+          const { data_type, udt_name, is_nullable } = table[column];
+          if(cfg.columnType) {
+            const expected = cfg.columnType.toLowerCase().replace(/\s*\(.*\)$/, '');
+            if(expected !== data_type && (UDT_NAMES[expected] || expected) !== udt_name) {
+              report('typeMismatch', { attribute, column, expected:[ cfg.columnType ], actual:data_type });
+            }
+          } else {
+            const expected = getColumnTypes(cfg);
+            if(expected && !expected.includes(data_type)) {
+              report('typeMismatch', { attribute, column, expected, actual:data_type });
+            }
+          }
+
+          if(is_nullable === 'NO' && mayBeNull(Model, attribute)) {
+            report('nullability', { attribute, column, expected:'NULL', actual:'NOT NULL' });
+          }
+        });
+
+      const expected = [ columnName(Model, Model.primaryKey) ];
+      const actual   = primaryKeys[Model.tableName] || [];
+      if(actual.join() !== expected.join()) {
+        report('primaryKey', { expected, actual });
+      }
+    });
+    return diff;
+  }
+
+  function getColumnTypes({ model, type }) {
+    if(model) {
+      const Parent = getModelWithName(model);
+      const pk = Parent.attributes[Parent.primaryKey];
+      return pk && getColumnTypes(pk);
+    }
+    return COLUMN_TYPES[type];
+  }
+
   function sendNativeQuery(buildSql, args, opts) {
-    opts = { schemaName:'public', ...opts, intercepters:{} };
+    opts = { schemaName:'public', method:'sendNativeQuery', ...opts, errorHandlers:[], meta:{} };
 
-    const returnable = { fetch, intercept, limit, meta, populate, sort, then, usingConnection };
+    const returnable = { abort, after, fetch, intercept, limit, meta, paginate, populate, skip, sort, then, timeout, tolerate, usingConnection };
+    if(opts.stream) {
+      Object.assign(returnable, { eachBatch, eachRecord, [Symbol.asyncIterator]:records });
+    }
     return returnable;
 
     function usingConnection(client) {
-      opts.client = client;
+      opts.client = requireOwnConnection(client);
+      return returnable;
+    }
+
+    /**
+     * Fail each statement which runs for longer than ms with an
+     * E_QUERY_TIMEOUT error, instead of the pool's statement_timeout.  0
+     * disables the timeout.
+     *
+     * Inside a transaction() the timeout is set with SET LOCAL.  Otherwise a
+     * query on a connection from the pool is run in a transaction of its own,
+     * and a connection supplied with usingConnection() has its session's
+     * statement_timeout set and then restored.
+     */
+    function timeout(ms) {
+      if(!Number.isSafeInteger(ms) || ms < 0) {
+        throw new Error('Timeout must be a non-negative integer.');
+      }
+      opts.timeout = ms;
+      return returnable;
+    }
+
+    /**
+     * Cancel the query when signal is aborted, failing with an
+     * E_QUERY_CANCELLED error.  A statement which the query is running is
+     * cancelled with pg_cancel_backend(), and no further ones are run.
+     */
+    function abort(signal) {
+      if(!signal || typeof signal.addEventListener !== 'function') {
+        throw new Error('abort() requires an AbortSignal.');
+      }
+      opts.signal = signal;
       return returnable;
     }
 
@@ -79,11 +609,13 @@ module.exports = (pool, models, defaultAttributes={}) => {
       return returnable;
     }
 
-    function intercept(errName, handler) {
-      getErrorCodesFor(errName)
-        .forEach(code => {
-          opts.intercepters[code] = handler;
-        });
+    function intercept(filter, handler) {
+      opts.errorHandlers.push(errorHandler(filter, handler, false));
+      return returnable;
+    }
+
+    function tolerate(filter, handler) {
+      opts.errorHandlers.push(errorHandler(filter, handler, true));
       return returnable;
     }
 
@@ -95,17 +627,57 @@ module.exports = (pool, models, defaultAttributes={}) => {
       return returnable;
     }
 
+    /**
+     * Keyset pagination: only return records which sort after the supplied
+     * record (or object of its sort keys).  The primary key is added as a final
+     * sort key, in the direction of the last sort key, so that ordering is
+     * stable.
+     */
+    function after(lastSeen) {
+      opts.after = lastSeen;
+      return returnable;
+    }
+
     function meta(metaOpts) {
-      const keys = Object.keys(metaOpts);
-      if(!keys.every(k => k === 'schemaName')) {
-        throw new Error(`Currently the only meta property supported is schemaName; found: ${keys}`);
+      const unsupported = Object.keys(metaOpts).filter(k => !META_KEYS.includes(k));
+      if(unsupported.length) {
+        throw new Error(`Unsupported meta properties: ${unsupported}; supported properties are: ${META_KEYS}`);
+      }
+      if(metaOpts.populateStrategy !== undefined && ![ 'join', 'query' ].includes(metaOpts.populateStrategy)) {
+        throw new Error(`Unrecognised populateStrategy: ${metaOpts.populateStrategy}`);
+      }
+      opts.meta = { ...opts.meta, ...metaOpts };
+      if(metaOpts.schemaName) {
+        opts.schemaName = metaOpts.schemaName;
+      }
+      return returnable;
+    }
+
+    /**
+     * Zero-based page number, like waterline.
+     */
+    function paginate(page, perPage=DEFAULT_PAGE_SIZE) {
+      if(!Number.isSafeInteger(page) || page < 0) {
+        throw new Error('Page must be a non-negative integer.');
+      }
+      if(!Number.isSafeInteger(perPage) || perPage < 1) {
+        throw new Error('Page size must be a positive integer.');
       }
-      opts.schemaName = metaOpts.schemaName;
+      opts.skip  = page * perPage;
+      opts.limit = perPage;
+      return returnable;
+    }
+
+    function populate(path, subCriteria) {
+      opts.populates = [ ...opts.populates || [], { path, subCriteria } ];
       return returnable;
     }
 
-    function populate(prop) {
-      opts.populate = prop;
+    function skip(skip) {
+      if(!Number.isSafeInteger(skip) || skip < 0) {
+        throw new Error('Skip must be a non-negative integer.');
+      }
+      opts.skip = skip;
       return returnable;
     }
 
@@ -114,158 +686,840 @@ module.exports = (pool, models, defaultAttributes={}) => {
       return returnable;
     }
 
-    async function then(resolve, reject) {
-      let client;
+    function eachBatch(size, fn) {
+      if(typeof size === 'function') {
+        fn = size;
+        size = DEFAULT_STREAM_BATCH_SIZE;
+      }
+      if(!Number.isSafeInteger(size) || size < 1) {
+        throw new Error('Batch size must be a positive integer.');
+      }
+      opts.iteratee = { size, fn };
+      return returnable;
+    }
 
-      try {
-        let sql = typeof buildSql === 'string' ? buildSql : buildSql(opts.schemaName);
+    function eachRecord(fn) {
+      opts.iteratee = { size:DEFAULT_STREAM_BATCH_SIZE, fn, perRecord:true };
+      return returnable;
+    }
+
+    async function* records() {
+      for await (const batch of batches(DEFAULT_STREAM_BATCH_SIZE)) {
+        yield* batch;
+      }
+    }
+
+    async function stream() {
+      if(!opts.iteratee) {
+        throw new Error('stream() requires eachRecord() or eachBatch() to be called before it is executed.');
+      }
 
-        if(opts.fetch) {
-          sql += ' RETURNING *';
+      const { size, fn, perRecord } = opts.iteratee;
+      for await (const batch of batches(size)) {
+        if(perRecord) {
+          for(const record of batch) {
+            await fn(record);
+          }
+        } else {
+          await fn(batch);
         }
-        sql += buildOrderByQuery(opts.orderBy);
-        sql += buildLimitQuery(opts.limit);
-
-        if(args) {
-          // Substitute timestamps here so they are all identical for the same statement.
-          // N.B. statements in the same transaction may generate different timestamps.
-          const now = Date.now();
-          args = args.map(it => it === NOW ? now : it);
+      }
+    }
+
+    /**
+     * Fetch results in batches from a server-side cursor.  The next batch is
+     * not fetched until the consumer has finished with the previous one.
+     *
+     * Cursors only exist inside transactions, so if no connection is supplied
+     * with usingConnection(), one is leased and a transaction opened for the
+     * lifetime of the cursor.  A supplied connection must already be in a
+     * transaction.
+     */
+    async function* batches(size) {
+      opts.client = opts.client || ambientConnection();
+
+      const { sql, args } = buildQuery();
+      const cursor = esc.col(`plimsoll_cursor_${++cursorCount}`);
+      const client = opts.client || await pool.connect();
+
+      let errored = false;
+      let cancellation;
+      try {
+        if(!opts.client) {
+          await client.query('BEGIN');
         }
+        cancellation = await startCancellation(client, { inTransaction:true });
+        const { cancellable } = cancellation;
+        await runQuery(cancellable, `DECLARE ${cursor} NO SCROLL CURSOR FOR ${sql}`, args, opts);
 
-        client = opts.client || await pool.connect();
-        const result = await client.query(sql, args);
-
-        if(opts.returnSingleRow || (opts.fetch && opts.single)) {
-          const ret = withSelectedValuesCast(opts.Model, result.rows[0]);
-
-          if(opts.populate) {
-            // It would be neat if we could use a subquery to get the populated property as a
-            // composite value, and then process with withSelectedValuesCast(), but it looks
-            // like this is tricky: https://github.com/brianc/node-postgres/issues/1801#issuecomment-533894462
-            const populateModel = getModelWithName(opts.Model.attributes[opts.populate].model);
-            const sql = `SELECT * FROM ${esc.table(populateModel.tableName)} WHERE id=$1`;
-            const { rows } = await client.query(sql, [ ret[opts.populate] ]);
-            ret[opts.populate] = withSelectedValuesCast(populateModel, rows[0]);
-          }
+        while(true) {
+          const { rows } = await runQuery(cancellable, `FETCH ${size} FROM ${cursor}`, undefined, opts);
+          if(!rows.length) break;
 
-          resolve(ret);
-        } else if(opts.returnRows || opts.fetch) {
-          const ret = result.rows.map(row => withSelectedValuesCast(opts.Model, row));
-
-          if(opts.populate) {
-            const populateModel = getModelWithName(opts.Model.attributes[opts.populate].model);
-            const populateIds = ret.map(r => r[opts.populate]);
-            const sql = `SELECT * FROM ${esc.table(populateModel.tableName)} WHERE id=ANY($1)`;
-            const { rows } = await client.query(sql, [ populateIds ]);
-            ret.forEach(r => {
-              r[opts.populate] = withSelectedValuesCast(populateModel, rows.find(({ id }) => r[opts.populate] === id));
-            });
+          const records = rows.map(row => withSelectedValuesCast(opts.Model, row));
+          if(opts.populates) {
+            await populateAll(cancellable, opts, records);
           }
+          yield records;
 
-          resolve(ret);
-        } else {
-          resolve(result);
+          if(rows.length < size) break;
         }
       } catch(err) {
-        const intercepter = opts.intercepters[err.code];
-
-        if(!intercepter) {
-          reject(err);
-        } else if(typeof intercepter === 'function') {
-          reject(intercepter(err));
-        } else if(typeof intercepter === 'string') {
-          reject(intercepter);
-        } else {
-          throw new Error(`No handling for intercepter of this type yet: '${intercepter}'`);
+        errored = true;
+        throw cancellation ? cancellation.error(err) : err;
+      } finally {
+        // Also reached if the consumer stops early, e.g. with `break`.
+        try {
+          if(cancellation) {
+            await cancellation.stop(errored);
+          }
+        } finally {
+          if(opts.client) {
+            if(!errored) {
+              await client.query(`CLOSE ${cursor}`);
+            }
+          } else {
+            try {
+              await client.query(errored ? 'ROLLBACK' : 'COMMIT');
+            } finally {
+              client.release();
+            }
+          }
+        }
+      }
+    }
+
+    function buildQuery(returning) {
+      let sortKeys = parseSort(opts.orderBy, opts.Model);
+      // Break ties by primary key, so that the first page and later after()
+      // pages agree on ordering.
+      const pk = opts.Model ? opts.Model.primaryKey : 'id';
+      const hasPk = !opts.Model || isColumn(opts.Model, pk);
+      if(opts.after && !hasPk) {
+        throw new Error(`after() requires a primary key column for model ${opts.Model.globalId}: ${pk}`);
+      }
+      if(hasPk && (opts.after || (opts.returnRows && sortKeys.length)) && !sortKeys.some(({ attr, path }) => attr === pk && !path)) {
+        const col = opts.Model ? columnName(opts.Model, pk) : pk;
+        sortKeys = [ ...sortKeys, { attr:pk, col, dir:sortKeys.length ? sortKeys[sortKeys.length-1].dir : 'ASC' } ];
+      }
+      const orderBy = buildSortKeysQuery(sortKeys);
+
+      // With populateStrategy 'join', rows are numbered by the query's own
+      // ordering, which the populating query then restores.
+      const joinPopulate = opts.populates && opts.meta.populateStrategy === 'join';
+      const ordinal = joinPopulate ? `, ROW_NUMBER() OVER (${orderBy}) AS __ord` : '';
+
+      let sql = typeof buildSql === 'string' ? buildSql : buildSql(opts.schemaName, opts.meta, opts.after ? '' : ordinal);
+
+      if(opts.fetch || returning) {
+        sql += ' RETURNING *';
+      }
+      if(opts.after) {
+        args = args || [];
+        sql = `SELECT *${ordinal} FROM ( ${sql} ) AS page WHERE ${buildKeysetQuery(sortKeys, opts.after, args)}`;
+      }
+
+      sql += orderBy;
+      sql += buildLimitQuery(opts.limit);
+      sql += buildSkipQuery(opts.skip);
+
+      if(joinPopulate) {
+        sql = buildJoinPopulateQuery(sql, args, opts);
+      }
+
+      if(!args) {
+        return { sql };
+      }
+
+      // Substitute timestamps here so they are all identical for the same statement.
+      // N.B. statements in the same transaction may generate different timestamps.
+      const now = Date.now();
+      return { sql, args:args.map(it => it === NOW ? now : it) };
+    }
+
+    async function then(resolve, reject) {
+      opts.client = opts.client || ambientConnection();
+
+      if(opts.stream) {
+        return stream()
+          .catch(err => handleError(err, opts.Model, opts.errorHandlers))
+          .then(resolve, reject);
+      }
+
+      return run()
+        .catch(err => handleError(err, opts.Model, opts.errorHandlers))
+        .then(resolve, reject);
+    }
+
+    async function run() {
+      let client, cancellation, ret, stopError, failed = false;
+
+      try {
+        if(opts.validationError) {
+          throw opts.validationError;
         }
+
+        const lifecycle = !opts.meta.skipAllLifecycleCallbacks && opts.lifecycle;
+        const context = { connection:opts.client, meta:opts.meta };
+        if(lifecycle && lifecycle.before) {
+          await lifecycle.before(context);
+        }
+
+        const { sql, args } = buildQuery(lifecycle && lifecycle.after);
+
+        client = opts.client || await pool.connect();
+        cancellation = await startCancellation(client, { inTransaction:!!transactionDepths.get(client), leased:!opts.client });
+        ret = await runAndRead(cancellation.cancellable, sql, args, lifecycle, context);
+      } catch(err) {
+        failed = true;
+        throw cancellation ? cancellation.error(err) : err;
       } finally {
+        if(cancellation) {
+          stopError = await cancellation.stop(failed).then(() => {}, err => err);
+        }
         if(client && !opts.client) {
-          client.release();
+          // A client which could not be returned to its previous state is discarded.
+          client.release(stopError);
         }
       }
+
+      if(stopError) {
+        // e.g. committing the timeout's transaction failed
+        throw cancellation.error(stopError);
+      }
+      return ret;
+    }
+
+    async function runAndRead(client, sql, args, lifecycle, context) {
+      let result = await runQuery(client, sql, args, opts);
+
+      if(lifecycle && lifecycle.after) {
+        for(const row of result.rows) {
+          await lifecycle.after(withSelectedValuesCast(opts.Model, row), context);
+        }
+        if(!opts.fetch) {
+          // Rows were only returned for the callbacks.
+          result = { ...result, rows:[] };
+        }
+      }
+
+      if(opts.returnSingleRow || (opts.fetch && opts.single)) {
+        const ret = withSelectedValuesCast(opts.Model, result.rows[0]);
+
+        if(opts.populates) {
+          // It would be neat if we could use a subquery to get the populated property as a
+          // composite value, and then process with withSelectedValuesCast(), but it looks
+          // like this is tricky: https://github.com/brianc/node-postgres/issues/1801#issuecomment-533894462
+          await populateAll(client, opts, [ ret ]);
+        }
+
+        return ret;
+      } else if(opts.returnRows || opts.fetch) {
+        const ret = result.rows.map(row => withSelectedValuesCast(opts.Model, row));
+
+        if(opts.populates) {
+          await populateAll(client, opts, ret);
+        }
+
+        return ret;
+      } else if(opts.mapResult) {
+        return opts.mapResult(result);
+      } else {
+        return result;
+      }
+    }
+
+    /**
+     * Apply timeout() and abort() to the statements run on the returned
+     * cancellation's cancellable client.  A timeout() is set with SET LOCAL if
+     * client is inTransaction, or else in a transaction opened here if client
+     * was leased from the pool.  A supplied client may be in a transaction of
+     * the caller's, which must not be committed, so its session's
+     * statement_timeout is set instead.
+     *
+     * stop(failed) must be called before the client is released.  It commits
+     * the transaction opened here, or rolls it back if the query failed, and
+     * otherwise restores the previous statement_timeout.
+     */
+    async function startCancellation(client, { inTransaction, leased }) {
+      const { signal } = opts;
+      if(signal && signal.aborted) {
+        throw queryCancelledError();
+      }
+
+      const timeout = opts.timeout === undefined ? defaultTimeout : opts.timeout;
+      const localTimeout = opts.timeout !== undefined && opts.timeout !== defaultTimeout;
+      const ownTransaction = localTimeout && !inTransaction && leased;
+
+      let aborted = false, running, cancelling, previousTimeout;
+      const onAbort = () => {
+        aborted = true;
+        if(running) {
+          cancelling = cancelBackend(client, running);
+        }
+      };
+      const cancellation = {
+        cancellable: {
+          query: async (sql, params) => {
+            if(aborted) {
+              throw queryCancelledError();
+            }
+            running = sql;
+            try {
+              return await client.query(sql, params);
+            } finally {
+              running = undefined;
+            }
+          },
+        },
+        error: err => {
+          if(err && err.code === '57014') {
+            if(aborted) return queryCancelledError(err);
+            if(timeout) return queryTimeoutError(timeout, err);
+          }
+          return err;
+        },
+        stop: async failed => {
+          if(signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          // Don't let the cancellation reach a later statement on this client.
+          await cancelling;
+          if(ownTransaction) {
+            await client.query(failed ? 'ROLLBACK' : 'COMMIT');
+          } else if(previousTimeout !== undefined) {
+            try {
+              await client.query(`SELECT set_config('statement_timeout', $1, $2)`, [ previousTimeout, inTransaction ]);
+            } catch(err) {
+              // A failed statement aborts any transaction, and rolling it back restores the timeout.
+              if(!failed) throw err;
+            }
+          }
+        },
+      };
+
+      if(signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+      try {
+        if(ownTransaction) {
+          await client.query(`BEGIN; SET LOCAL statement_timeout = ${timeout}`);
+        } else if(localTimeout) {
+          const { rows } = await client.query(`
+            SELECT current_setting('statement_timeout') AS previous,
+                   set_config('statement_timeout', $1, $2)
+          `, [ String(timeout), inTransaction ]);
+          previousTimeout = rows[0].previous;
+        }
+      } catch(err) {
+        await cancellation.stop(true).catch(() => {});
+        throw err;
+      }
+      return cancellation;
+    }
+  }
+
+  /**
+   * Cancel sql if client is running it, using a separate connection so that
+   * this works even if the pool is exhausted.  Checking the backend's current
+   * query stops this cancelling another caller's statement on a shared client.
+   */
+  async function cancelBackend(client, sql) {
+    let canceller;
+    try {
+      canceller = new pool.Client(pool.options);
+      await canceller.connect();
+      // pg_stat_activity truncates long queries.
+      await canceller.query(`
+        SELECT pg_cancel_backend(pid)
+          FROM pg_stat_activity
+         WHERE pid = $1
+           AND state = 'active'
+           AND left($2, length(query)) = query
+      `, [ client.processID, sql ]);
+    } catch(err) {
+      process.emitWarning(`plimsoll failed to cancel query: ${err.stack}`);
+    } finally {
+      if(canceller) {
+        await canceller.end().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Populate all requested associations, including nested ones like
+   * `owner.company`.  Each level costs one query per association, however
+   * many records there are.
+   */
+  async function populateAll(client, opts, records) {
+    if(opts.meta.populateStrategy === 'join') {
+      return populateFromJoin(opts, records);
+    }
+
+    const tree = {};
+    opts.populates.forEach(({ path, subCriteria }) => {
+      let node = { children:tree };
+      path.split('.').forEach(attrName => {
+        node = node.children[attrName] = node.children[attrName] || { children:{} };
+      });
+      node.subCriteria = subCriteria;
+    });
+
+    await populateTree(client, opts, opts.Model, records, tree);
+  }
+
+  async function populateTree(client, opts, Model, records, tree) {
+    for(const [ attrName, { subCriteria, children } ] of Object.entries(tree)) {
+      const populated = await populateAssociation(client, opts, Model, records, attrName, subCriteria);
+      if(Object.keys(children).length) {
+        await populateTree(client, opts, populated.Model, populated.records, children);
+      }
+    }
+  }
+
+  /**
+   * Populate a singular (model) or plural (collection + via) association for
+   * all supplied records, using a single query.  Resolves to the model and
+   * records which were populated, so that nested associations can be
+   * populated in turn.
+   */
+  async function populateAssociation(client, { schemaName, meta }, Model, records, attrName, subCriteria) {
+    records = records.filter(Boolean);
+
+    const attr = Model.attributes[attrName];
+    if(!attr) {
+      throw new Error(`Cannot populate unrecognised attribute: ${attrName}`);
+    }
+
+    if(attr.model) {
+      const populateModel = getModelWithName(attr.model);
+      const { select } = requireOnlySelect(attrName, getPopulateCriteriaFor(populateModel, subCriteria));
+
+      const populateIds = records.map(r => r[attrName]);
+      const pk = populateModel.primaryKey;
+      const sql = `SELECT * FROM ${esc.schema(schemaName)}.${esc.table(populateModel.tableName)} WHERE ${esc.col(columnName(populateModel, pk))}=ANY($1)`;
+      const { rows } = await runQuery(client, sql, [ populateIds ], { Model:populateModel, method:'populate', schemaName });
+      const populated = rows.map(row => withSelectedOnly(withSelectedValuesCast(populateModel, row), select));
+      records.forEach(r => {
+        r[attrName] = populated.find(p => r[attrName] === p[pk]);
+      });
+
+      return { Model:populateModel, records:populated };
+    } else if(attr.collection) {
+      const { ChildModel, via, joinTable, parentCol, childCol } = getCollectionAssociation(Model, attrName);
+      const { select, criteria, orderBy, limit, skip } = getPopulateCriteriaFor(ChildModel, subCriteria);
+      const childTable = `${esc.schema(schemaName)}.${esc.table(ChildModel.tableName)}`;
+      const args = [ records.map(r => r[Model.primaryKey]) ];
+
+      const children = via ? `
+        SELECT ${esc.col(via)} AS __parent, *
+          FROM ${childTable}
+          WHERE ${esc.col(via)}=ANY($1)
+      ` : `
+        SELECT j.${esc.col(parentCol)} AS __parent, c.*
+          FROM ${childTable} c
+          JOIN ${esc.schema(schemaName)}.${esc.table(joinTable)} j ON j.${esc.col(childCol)} = c.${esc.col(columnName(ChildModel, ChildModel.primaryKey))}
+          WHERE j.${esc.col(parentCol)}=ANY($1)
+      `;
+      const filtered = `SELECT * FROM ( ${children} ) AS children ${buildWhereQuery(criteria, args, meta)}`;
+
+      let sql;
+      if(limit === undefined && skip === undefined) {
+        sql = `${filtered} ${buildOrderByQuery(orderBy || ChildModel.primaryKey, ChildModel)}`;
+      } else {
+        // Limit & skip apply to each parent's children separately.
+        const first = (skip || 0) + 1;
+        const last  = limit === undefined ? 'ALL' : (skip || 0) + limit;
+        sql = `
+          SELECT * FROM (
+            SELECT *, ROW_NUMBER() OVER (PARTITION BY __parent ${buildOrderByQuery(orderBy || ChildModel.primaryKey, ChildModel)}) AS __rank
+              FROM ( ${filtered} ) AS filtered
+          ) AS ranked
+          WHERE __rank >= ${esc.num(first)}
+            ${last === 'ALL' ? '' : `AND __rank <= ${esc.num(last)}`}
+          ORDER BY __rank
+        `;
+      }
+
+      const { rows } = await runQuery(client, sql, args, { Model:ChildModel, method:'populate', schemaName });
+      const populated = [];
+      records.forEach(r => {
+        r[attrName] = rows
+            .filter(row => row.__parent === r[Model.primaryKey])
+            .map(({ ...row }) => {
+              delete row.__parent;
+              delete row.__rank;
+              const child = withSelectedOnly(withSelectedValuesCast(ChildModel, row), select);
+              populated.push(child);
+              return child;
+            });
+      });
+
+      return { Model:ChildModel, records:populated };
+    } else {
+      throw new Error(`Cannot populate attribute which is not an association: ${attrName}`);
+    }
+  }
+
+  /**
+   * Wrap a query so that populated associations are fetched in the same
+   * statement, as JSON, by LATERAL joins.  The query must select __ord, its
+   * row number.  The results are unpacked by populateFromJoin().
+   */
+  function buildJoinPopulateQuery(sql, args, { Model, populates, schemaName, meta }) {
+    const joins = populates.map(({ path, subCriteria }, i) => {
+      if(path.includes('.')) {
+        throw new Error(`Nested populate() is not supported with populateStrategy 'join': ${path}`);
+      }
+
+      const attr = Model.attributes[path];
+      if(!attr) {
+        throw new Error(`Cannot populate unrecognised attribute: ${path}`);
+      }
+
+      const alias = esc.col(`__populate${i}`);
+
+      if(attr.model) {
+        const populateModel = getModelWithName(attr.model);
+        requireOnlySelect(path, getPopulateCriteriaFor(populateModel, subCriteria));
+
+        return `
+          LEFT JOIN LATERAL (
+            SELECT ${buildJsonRowQuery(populateModel, 'c')} AS value
+              FROM ${esc.schema(schemaName)}.${esc.table(populateModel.tableName)} c
+              WHERE c.${esc.col(columnName(populateModel, populateModel.primaryKey))} = parent.${esc.col(columnName(Model, path))}
+          ) AS ${alias} ON TRUE`;
+      } else if(attr.collection) {
+        const { ChildModel, via, joinTable, parentCol, childCol } = getCollectionAssociation(Model, path);
+        const { criteria, orderBy, limit, skip } = getPopulateCriteriaFor(ChildModel, subCriteria);
+        const childTable = `${esc.schema(schemaName)}.${esc.table(ChildModel.tableName)}`;
+
+        const children = via ? `
+          SELECT * FROM ${childTable} WHERE ${esc.col(via)} = parent.${esc.col(columnName(Model, Model.primaryKey))}
+        ` : `
+          SELECT c.*
+            FROM ${childTable} c
+            JOIN ${esc.schema(schemaName)}.${esc.table(joinTable)} j ON j.${esc.col(childCol)} = c.${esc.col(columnName(ChildModel, ChildModel.primaryKey))}
+            WHERE j.${esc.col(parentCol)} = parent.${esc.col(columnName(Model, Model.primaryKey))}
+        `;
+        const order = buildOrderByQuery(orderBy || ChildModel.primaryKey, ChildModel);
+
+        return `
+          LEFT JOIN LATERAL (
+            SELECT COALESCE(json_agg(${buildJsonRowQuery(ChildModel, 'c')} ${order}), '[]'::json) AS value
+              FROM (
+                SELECT * FROM ( ${children} ) AS children
+                  ${buildWhereQuery(criteria, args, meta)}
+                  ${order}
+                  ${buildLimitQuery(limit)}
+                  ${skip === undefined ? '' : ` OFFSET ${esc.num(skip)}`}
+              ) AS c
+          ) AS ${alias} ON TRUE`;
+      } else {
+        throw new Error(`Cannot populate attribute which is not an association: ${path}`);
+      }
+    });
+
+    return `
+      WITH main AS ( ${sql} )
+      SELECT parent.*, ${populates.map((_, i) => `${esc.col(`__populate${i}`)}.value AS ${esc.col(`__populate${i}`)}`).join(', ')}
+        FROM main AS parent
+        ${joins.join('\n')}
+        ORDER BY parent.__ord
+    `;
+  }
+
+  function populateFromJoin({ Model, populates }, records) {
+    records.filter(Boolean).forEach(r => {
+      delete r.__ord;
+      populates.forEach(({ path, subCriteria }, i) => {
+        const value = r[`__populate${i}`];
+        delete r[`__populate${i}`];
+
+        const attr = Model.attributes[path];
+        const populateModel = getModelWithName(attr.model || attr.collection);
+        const { select } = getPopulateCriteriaFor(populateModel, subCriteria);
+        const cast = row => withSelectedOnly(withSelectedValuesCast(populateModel, fromJsonRow(populateModel, row)), select);
+
+        if(attr.model) {
+          r[path] = value ? cast(value) : undefined;
+        } else {
+          r[path] = value.map(cast);
+        }
+      });
+    });
+  }
+
+  /**
+   * Decode a row encoded by buildJsonRowQuery(), parsing the model's columns
+   * from their text representation as node-postgres would for a query result.
+   * Other columns keep their JSON values.
+   */
+  function fromJsonRow(Model, [ row, texts, typeIds ]) {
+    jsonRowColumns(Model).forEach((col, i) => {
+      row[col] = texts[i] === null ? null : types.getTypeParser(typeIds[i], 'text')(texts[i]);
+    });
+    return row;
+  }
+
+  /**
+   * Describe how a collection attribute is stored.  For one-to-many
+   * associations, `via` is the column on the child table.  For many-to-many
+   * associations, parentCol and childCol are columns of the join table, which
+   * is either the `through` model's table or, like waterline, named after both
+   * sides of the association, e.g. `pet_owners__user_pets`.  For `through`
+   * models, parentAttr and childAttr are the corresponding attributes.
+   */
+  function getCollectionAssociation(Model, attrName) {
+    const { collection, via, through } = Model.attributes[attrName] || {};
+    if(!collection) {
+      throw new Error(`Not a collection attribute of ${Model.globalId}: ${attrName}`);
+    }
+    const ChildModel = getModelWithName(collection);
+
+    if(through) {
+      const Through = getModelWithName(through);
+      const childAttr = Object.keys(Through.attributes)
+          .find(k => k !== via && Through.attributes[k].model && Through.attributes[k].model.toLowerCase() === ChildModel.identity);
+      if(!via || !Through.attributes[via] || !childAttr) {
+        throw new Error(`Through model ${Through.globalId} must have model attributes referencing ${Model.globalId} (via: ${via}) and ${ChildModel.globalId}.`);
+      }
+      return {
+        ChildModel,
+        Through,
+        joinTable:  Through.tableName,
+        parentAttr: via,
+        parentCol:  columnName(Through, via),
+        childAttr,
+        childCol:   columnName(Through, childAttr),
+      };
+    }
+
+    const inverse = via && ChildModel.attributes[via];
+    if(!inverse) {
+      throw new Error(`Collection attribute ${attrName} must specify \`via\` as an attribute of ${ChildModel.globalId}.`);
+    }
+
+    if(inverse.collection) {
+      const parentCol = `${Model.identity}_${attrName}`;
+      const childCol  = `${ChildModel.identity}_${via}`;
+      return { ChildModel, joinTable:[ parentCol, childCol ].sort().join('__'), parentCol, childCol };
+    }
+
+    return { ChildModel, via:columnName(ChildModel, via) };
+  }
+
+  /**
+   * Build a returnable for an operation made up of several queries.  The
+   * queries are run in a new transaction, or nested in the transaction of a
+   * connection supplied with usingConnection().  meta() is applied to every
+   * query; intercept() and tolerate() apply to the operation as a whole.
+   */
+  function compoundQuery(Model, run) {
+    const chain = [];
+    const errorHandlers = [];
+    let client;
+
+    const returnable = { abort, intercept, meta, then, timeout, tolerate, usingConnection };
+    return returnable;
+
+    function abort(signal) {
+      chain.push(q => q.abort(signal));
+      return returnable;
+    }
+
+    function intercept(filter, handler) {
+      errorHandlers.push(errorHandler(filter, handler, false));
+      return returnable;
+    }
+
+    function timeout(ms) {
+      chain.push(q => q.timeout(ms));
+      return returnable;
+    }
+
+    function tolerate(filter, handler) {
+      errorHandlers.push(errorHandler(filter, handler, true));
+      return returnable;
+    }
+
+    function meta(metaOpts) {
+      chain.push(q => q.meta(metaOpts));
+      return returnable;
+    }
+
+    function usingConnection(connection) {
+      client = requireOwnConnection(connection);
+      return returnable;
+    }
+
+    function then(resolve, reject) {
+      const runWith = c => run(q => chain.reduce((q, fn) => fn(q), q).usingConnection(c));
+      return transaction(runWith, { connection:client })
+        .catch(err => handleError(err, Model, errorHandlers))
+        .then(resolve, reject);
     }
   }
 
   function initialiseModel(name, Model) {
     Model.globalId  = name;
-    Model.tableName = Model.identity = name.toLowerCase();
+    Model.identity  = name.toLowerCase();
+    Model.tableName = Model.tableName || Model.identity;
     Model.attributes = { ...cloneDeep(defaultAttributes), ...Model.attributes };
-    Object.values(Model.attributes).forEach(cfg => {
-      if(cfg.isIn) {
-        cfg.validations = { isIn:cfg.isIn };
-        delete cfg.isIn;
+    Model.primaryKey = Model.primaryKey ? requireAttribute(Model, Model.primaryKey) : 'id';
+
+    const mapped = Object.entries(Model.attributes).filter(([ attr, cfg ]) => cfg.columnName && cfg.columnName !== attr);
+    if(mapped.length) {
+      const toAttr = {};
+      Object.keys(Model.attributes).forEach(attr => { toAttr[columnName(Model, attr)] = attr; });
+      attributesByColumn.set(Model, toAttr);
+    }
+    Object.entries(Model.attributes).forEach(([ attr, cfg ]) => {
+      if(cfg.autoGenerate && typeof cfg.autoGenerate !== 'function' && ![ 'database', 'uuidv4', 'uuidv7' ].includes(cfg.autoGenerate)) {
+        throw new Error(`Unsupported autoGenerate value for model ${name}: '${cfg.autoGenerate}'`);
       }
+      Object.keys(cfg.validations || {})
+        .filter(rule => !Object.keys(VALIDATION_RULES).includes(rule))
+        .forEach(rule => {
+          throw new Error(`Unrecognised validation rule for model ${name}, attribute ${attr}: ${rule}`);
+        });
+      Object.keys(VALIDATION_RULES)
+        .filter(rule => cfg[rule] !== undefined)
+        .forEach(rule => {
+          cfg.validations = { ...cfg.validations, [rule]:cfg[rule] };
+          delete cfg[rule];
+        });
     });
 
-    Model.create = props => {
-      validateProperties(Model, props);
-      props = withoutUnrecognisedProperties(Model, props);
-      props = withDefaultValues(Model, props, { creating:true });
+    Model.addToCollection = (parentIds, attrName, childIds) => modifyCollection('add', parentIds, attrName, childIds);
+    /**
+     * Grouped aggregates, e.g.
+     *
+     *   Model.aggregate({ groupBy:'category', count:true, sum:'price' }, { active:true })
+     *     => [ { category:'A', count:2, sum:{ price:30 } }, ... ]
+     *
+     * groupBy, sum and avg each accept an attribute name or an array of them.
+     */
+    Model.aggregate = (spec, options={}) => {
+      const { criteria } = getCriteriaFor('select', Model, options);
+      const groupBy = [].concat(spec.groupBy || []).map(attr => columnName(Model, requireAttribute(Model, attr)));
+
+      const aggregates = [];
+      if(spec.count) {
+        aggregates.push({ fn:'count', sql:'COUNT(*)' });
+      }
+      [ 'sum', 'avg' ].forEach(fn => {
+        [].concat(spec[fn] || []).forEach(attr => {
+          requireAttribute(Model, attr);
+          aggregates.push({ fn, attr, sql:`COALESCE(${fn.toUpperCase()}(${esc.col(columnName(Model, attr))}), 0)` });
+        });
+      });
 
-      const cols = Object.keys(props);
-      const values = [];
-      return sendNativeQuery(schemaName => `
-        INSERT INTO ${esc.schema(schemaName)}.${esc.table(Model.tableName)}
-            ${buildColumnNamesQuery(cols)}
-            VALUES ${buildValuesQuery(Model, cols, props, values)}
-      `, values, { Model, single:true });
+      if(!groupBy.length && !aggregates.length) {
+        throw new Error('aggregate() requires at least one of: groupBy, count, sum, avg');
+      }
+
+      const select = [
+        ...groupBy.map(esc.col),
+        ...aggregates.map(({ sql }, i) => `${sql} AS ${esc.col(`_agg${i}`)}`),
+      ];
+      const args = [];
+      return sendNativeQuery((schemaName, meta) => `
+        SELECT ${select.join(', ')}
+          FROM ${esc.schema(schemaName)}.${esc.table(Model.tableName)}
+          ${buildWhereQuery(criteria, args, meta)}
+          ${groupBy.length ? `GROUP BY ${groupBy.map(esc.col).join(', ')}` : ''}
+      `, args, { Model, method:'aggregate', mapResult:({ rows }) => rows.map(toAggregateResult) });
+
+      function toAggregateResult(row) {
+        const group = {};
+        groupBy.forEach(col => { group[col] = row[col]; });
+
+        const ret = withSelectedValuesCast(Model, group);
+        aggregates.forEach(({ fn, attr }, i) => {
+          const value = Number(row[`_agg${i}`]);
+          if(fn === 'count') {
+            ret.count = value;
+          } else {
+            ret[fn] = { ...ret[fn], [attr]:value };
+          }
+        });
+        return ret;
+      }
+    };
+    Model.avg = (attr, options={}) => numericAggregate('AVG', requireAttribute(Model, attr), options);
+    Model.count = (options={}) => numericAggregate('COUNT', undefined, options);
+    Model.create = props => {
+      const validationError = getInsertValidationError([ props ]);
+      props = prepareForInsert(props);
+      return insert([ props ], '', { Model, method:'create', single:true, validationError, lifecycle:lifecycle('Create', [ props ]) });
     };
     Model.createEach = propses => {
-      propses = propses
-        .map(props => validateProperties(Model, props) || props)
-        .map(props => withoutUnrecognisedProperties(Model, props))
-        .map(props => withDefaultValues(Model, props, { creating:true }));
+      const validationError = getInsertValidationError(propses);
+      propses = propses.map(prepareForInsert);
 
       if(!propses.length) return NO_OP([]);
 
-      // TODO assert that all propses have the same columns.  If not, we'd have
-      // to do separate inserts for all of them, which seems like effort to
-      // support, and potentially unnecessary.
+      return insert(propses, '', { Model, method:'createEach', validationError, lifecycle:lifecycle('Create', propses) });
+    };
+    /**
+     * INSERT ... ON CONFLICT DO UPDATE.  On conflict, only the supplied
+     * attributes (and any autoUpdatedAt attributes) are updated.
+     *
+     * conflictTarget may be an attribute name, an array of attribute names, or
+     * { constraint:'constraint_name' }.  It defaults to the primary key.
+     */
+    Model.createOrUpdate = (props, { conflictTarget=Model.primaryKey }={}) => {
+      const onConflict = buildOnConflictQuery(Model, conflictTarget, Object.keys(withoutUnrecognisedProperties(Model, props)));
+      const validationError = getInsertValidationError([ props ]);
+      props = prepareForInsert(props);
+      return insert([ props ], onConflict, { Model, method:'createOrUpdate', single:true, validationError });
+    };
+    Model.createOrUpdateEach = (propses, { conflictTarget=Model.primaryKey }={}) => {
+      if(!propses.length) return NO_OP([]);
 
-      const cols = Object.keys(propses[0]);
-      const values = [];
-      return sendNativeQuery(schemaName => `
-        INSERT INTO ${esc.schema(schemaName)}.${esc.table(Model.tableName)}
-            ${buildColumnNamesQuery(cols)}
-            VALUES ${propses.map(props => buildValuesQuery(Model, cols, props, values)).join(',\n                   ')}
-      `, values, { Model });
+      const onConflict = buildOnConflictQuery(Model, conflictTarget, Object.keys(withoutUnrecognisedProperties(Model, propses[0])));
+      const validationError = getInsertValidationError(propses);
+      propses = propses.map(prepareForInsert);
+      return insert(propses, onConflict, { Model, method:'createOrUpdateEach', validationError });
     };
     Model.destroy = (options={}) => {
-      const { criteria, orderBy, limit } = getCriteriaFor('delete', Model, options);
+      const { where, criteria, orderBy, limit } = getCriteriaFor('delete', Model, options);
       const args = [];
-      return sendNativeQuery(schemaName => `
+      return sendNativeQuery((schemaName, meta) => `
         DELETE
           FROM ${esc.schema(schemaName)}.${esc.table(Model.tableName)}
-          ${buildWhereQuery(criteria, args)}
-      `, args, { Model, returnRows:true, limit, orderBy });
+          ${buildWhereQuery(criteria, args, meta)}
+      `, args, { Model, method:'destroy', returnRows:true, limit, orderBy, lifecycle:lifecycle('Destroy', [ where ]) });
     };
     Model.destroyOne = (options={}) => {
-      const { criteria, orderBy, limit } = getCriteriaFor('delete', Model, options);
+      const { where, criteria, orderBy, limit } = getCriteriaFor('delete', Model, options);
       const args = [];
       // from: https://dba.stackexchange.com/a/238287
       // TODO check if this truly limits us to one result or not (preferably with a permanent test)
       // TODO optimise this when only ID is supplied
       // TODO optimise this when only a single unique column is supplied (like ID case, but more general)
-      return sendNativeQuery(schemaName => `
+      return sendNativeQuery((schemaName, meta) => `
         DELETE
           FROM ${esc.schema(schemaName)}.${esc.table(Model.tableName)}
-          WHERE id = (
-            SELECT id
+          WHERE ${esc.col(columnName(Model, Model.primaryKey))} = (
+            SELECT ${esc.col(columnName(Model, Model.primaryKey))}
               FROM ${esc.schema(schemaName)}.${esc.table(Model.tableName)}
-              ${buildWhereQuery(criteria, args)}
+              ${buildWhereQuery(criteria, args, meta)}
           )
-      `, args, { Model, returnSingleRow:true, limit, orderBy });
+      `, args, { Model, method:'destroyOne', returnSingleRow:true, limit, orderBy, lifecycle:lifecycle('Destroy', [ where ]) });
     };
-    Model.find = (options={}) => {
-      const { select, criteria, orderBy, limit } = getCriteriaFor('select', Model, options);
+    Model.distinct = (attr, options={}) => {
+      requireAttribute(Model, attr);
+      const { criteria } = getCriteriaFor('select', Model, options);
       const args = [];
-      return sendNativeQuery(schemaName => `
-        SELECT ${select}
+      return sendNativeQuery((schemaName, meta) => `
+        SELECT DISTINCT ${esc.col(columnName(Model, attr))}
           FROM ${esc.schema(schemaName)}.${esc.table(Model.tableName)}
-          ${buildWhereQuery(criteria, args)}
-      `, args, { Model, returnRows:true, limit, orderBy });
+          ${buildWhereQuery(criteria, args, meta)}
+      `, args, { Model, method:'distinct', mapResult:({ rows }) => rows.map(row => withSelectedValuesCast(Model, row)[attr]) });
     };
+    Model.find = (options={}) => selectQuery(options, { method:'find' });
     Model.findOne = (options={}) => {
       const { select, criteria, orderBy, limit } = getCriteriaFor('select', Model, options);
       const args = [];
@@ -273,40 +1527,100 @@ module.exports = (pool, models, defaultAttributes={}) => {
       // TODO check if this truly limits us to one result or not (preferably with a permanent test)
       // TODO optimise this when only ID is supplied
       // TODO optimise this when only a single unique column is supplied (like ID case, but more general)
-      return sendNativeQuery(schemaName => `
-        SELECT ${select}
+      return sendNativeQuery((schemaName, meta, extraColumns='') => `
+        SELECT ${select}${extraColumns}
           FROM ${esc.schema(schemaName)}.${esc.table(Model.tableName)}
-          WHERE id = (
-            SELECT id
+          WHERE ${esc.col(columnName(Model, Model.primaryKey))} = (
+            SELECT ${esc.col(columnName(Model, Model.primaryKey))}
               FROM ${esc.schema(schemaName)}.${esc.table(Model.tableName)}
-              ${buildWhereQuery(criteria, args)}
+              ${buildWhereQuery(criteria, args, meta)}
           )
-      `, args, { Model, returnSingleRow:true, limit, orderBy });
+      `, args, { Model, method:'findOne', returnSingleRow:true, limit, orderBy });
+    };
+    /**
+     * Resolves to the matching record, creating it from initialValues if there
+     * was no match.  Use .exec((err, record, wasCreated) => ...) to find out
+     * whether the record was created.
+     */
+    Model.findOrCreate = (criteria, initialValues) => {
+      let wasCreated;
+      const returnable = compoundQuery(Model, async query => {
+        wasCreated = false;
+
+        const found = await query(Model.findOne(criteria));
+        if(found) return found;
+
+        wasCreated = true;
+
+        const validationError = getInsertValidationError([ initialValues ]);
+        const props = prepareForInsert(initialValues);
+        const created = await query(insert([ props ], 'ON CONFLICT DO NOTHING', { Model, method:'findOrCreate', single:true, fetch:true, validationError, lifecycle:lifecycle('Create', [ props ]) }));
+        if(created) return created;
+
+        // The insert conflicted, probably with a concurrent findOrCreate().
+        const raced = await query(Model.findOne(criteria));
+        if(raced) {
+          wasCreated = false;
+          return raced;
+        }
+
+        // The conflict was with some other record; surface the error.
+        return query(Model.create(initialValues).fetch());
+      });
+      returnable.exec = cb => {
+        returnable.then(record => cb(null, record, wasCreated), cb);
+      };
+      return returnable;
     };
+    Model.removeFromCollection = (parentIds, attrName, childIds) => modifyCollection('remove', parentIds, attrName, childIds);
+    Model.replaceCollection = (parentIds, attrName, childIds) => modifyCollection('replace', parentIds, attrName, childIds);
+    /**
+     * Process matching records without holding them all in memory, e.g.
+     *
+     *   await Model.stream(criteria).eachRecord(async record => { ... });
+     *   await Model.stream(criteria).eachBatch(100, async records => { ... });
+     *   for await (const record of Model.stream(criteria)) { ... }
+     */
+    Model.stream = (options={}) => selectQuery(options, { method:'stream', stream:true });
+    Model.sum = (attr, options={}) => numericAggregate('SUM', requireAttribute(Model, attr), options);
     Model.update = criteria => {
+      criteria = withPrimaryKeyCriteria(Model, criteria);
       let metaOpts;
       function meta(opts) {
         metaOpts = opts;
         return { set };
       }
       function set(props) {
-        validateProperties(Model, props);
+        const validationError = getValidationError(Model, props);
         props = withoutUnrecognisedProperties(Model, props);
         props = withDefaultValues(Model, props);
-        const args = [];
-        const setQuery = buildSetQuery(Model, props, args);
-        if(!setQuery) return NO_OP([], { fetch:() => Model.find(criteria) });
+        if(!buildSetQuery(Model, props, [])) return NO_OP([], { fetch:() => Model.find(criteria) });
 
-        const snq = sendNativeQuery(schemaName => `
+        const args = [];
+        const snq = sendNativeQuery((schemaName, meta) => `
               UPDATE ${esc.schema(schemaName)}.${esc.table(Model.tableName)}
-                SET ${setQuery}
-                ${buildWhereQuery(criteria, args)}
-            `, args, { Model });
+                SET ${buildSetQuery(Model, withoutUnrecognisedProperties(Model, props), args)}
+                ${buildWhereQuery(withColumnCriteria(Model, criteria), args, meta)}
+            `, args, { Model, method:'update', validationError, lifecycle:lifecycle('Update', [ props ]) });
         return metaOpts ? snq.meta(metaOpts) : snq;
       }
       return { meta, set };
     };
+    /**
+     * Check a value against an attribute's type and validation rules.  Returns
+     * the value if it is valid, and otherwise throws an E_VIOLATES_RULES error
+     * shaped like those from create() and update().
+     */
+    Model.validate = (attrName, value) => {
+      requireAttribute(Model, attrName);
+      const invalidAttributes = getInvalidAttributes(Model, { [attrName]:value }, { creating:false });
+      if(Object.keys(invalidAttributes).length) {
+        throw validationError(Model, 'E_VIOLATES_RULES', `Invalid value for \`${attrName}\`.`, invalidAttributes);
+      }
+      return value;
+    };
     Model.updateOne = criteria => {
+      criteria = withPrimaryKeyCriteria(Model, criteria);
       // TODO this may fail if there are no matches, but if following waterline
       // spec it should not: https://sailsjs.com/documentation/reference/waterline-orm/models/update-one
       // It's unclear if this should trigger update of autoUpdatedAt timestamps
@@ -316,28 +1630,256 @@ module.exports = (pool, models, defaultAttributes={}) => {
         return { set };
       }
       function set(props) {
-        validateProperties(Model, props);
+        const validationError = getValidationError(Model, props);
         props = withoutUnrecognisedProperties(Model, props);
         props = withDefaultValues(Model, props);
+        if(!buildSetQuery(Model, props, [])) return Model.findOne(criteria);
+
         const args = [];
-        const setQuery = buildSetQuery(Model, props, args);
-        if(!setQuery) return Model.findOne(criteria);
-        const snq = sendNativeQuery(schemaName => `
+        const snq = sendNativeQuery((schemaName, meta) => `
               UPDATE ${esc.schema(schemaName)}.${esc.table(Model.tableName)}
-                SET ${setQuery}
-                WHERE id = (
-                  SELECT id
+                SET ${buildSetQuery(Model, withoutUnrecognisedProperties(Model, props), args)}
+                WHERE ${esc.col(columnName(Model, Model.primaryKey))} = (
+                  SELECT ${esc.col(columnName(Model, Model.primaryKey))}
                     FROM ${esc.schema(schemaName)}.${esc.table(Model.tableName)}
-                    ${buildWhereQuery(criteria, args)}
+                    ${buildWhereQuery(withColumnCriteria(Model, criteria), args, meta)}
                 )
-            `, args, { Model, single:true, fetch:true });
+            `, args, { Model, method:'updateOne', single:true, fetch:true, validationError, lifecycle:lifecycle('Update', [ props ]) });
         return metaOpts ? snq.meta(metaOpts) : snq;
       }
       return { meta, set };
     };
+
+    function selectQuery(options, queryOpts) {
+      const { select, criteria, orderBy, limit, skip } = getCriteriaFor('select', Model, options);
+      const args = [];
+      return sendNativeQuery((schemaName, meta, extraColumns='') => `
+        SELECT ${select}${extraColumns}
+          FROM ${esc.schema(schemaName)}.${esc.table(Model.tableName)}
+          ${buildWhereQuery(criteria, args, meta)}
+      `, args, { Model, returnRows:true, limit, skip, orderBy, ...queryOpts });
+    }
+
+    function getInsertValidationError(propses) {
+      return propses.map(props => getValidationError(Model, props, { creating:true })).find(Boolean);
+    }
+
+    function prepareForInsert(props) {
+      props = withoutUnrecognisedProperties(Model, props);
+      return withDefaultValues(Model, props, { creating:true });
+    }
+
+    function insert(propses, onConflict, opts) {
+      // TODO assert that all propses have the same columns.  If not, we'd have
+      // to do separate inserts for all of them, which seems like effort to
+      // support, and potentially unnecessary.
+
+      const values = [];
+      return sendNativeQuery(schemaName => {
+        // Columns are read at query time, as beforeCreate callbacks may change them.
+        const cols = Object.keys(withoutUnrecognisedProperties(Model, propses[0]));
+        return `
+          INSERT INTO ${esc.schema(schemaName)}.${esc.table(Model.tableName)}
+              ${buildColumnNamesQuery(Model, cols)}
+              VALUES ${propses.map(props => buildValuesQuery(Model, cols, props, values)).join(',\n                     ')}
+              ${onConflict}
+        `;
+      }, values, opts);
+    }
+
+    /**
+     * Waterline-style lifecycle callbacks, e.g. beforeCreate & afterCreate.
+     * Callbacks may either call proceed() or return a promise.  Before
+     * callbacks may modify the supplied values in place.
+     *
+     * Callbacks are also passed { connection, meta }, where connection is the
+     * one supplied with usingConnection(), if any.
+     */
+    function lifecycle(action, beforeArgs) {
+      const before = Model[`before${action}`];
+      const after  = Model[`after${action}`];
+      if(!before && !after) return;
+
+      return {
+        before: before && (async context => {
+          for(const arg of beforeArgs) {
+            await runLifecycleCallback(before, arg, context);
+          }
+        }),
+        after: after && ((record, context) => runLifecycleCallback(after, record, context)),
+      };
+    }
+
+    function modifyCollection(action, parentIds, attrName, childIds) {
+      parentIds = [ ...new Set([].concat(parentIds)) ];
+      childIds  = [ ...new Set([].concat(childIds)) ];
+
+      const association = getCollectionAssociation(Model, attrName);
+      const { ChildModel, via } = association;
+      const queryOpts = { Model, method:{ add:'addToCollection', remove:'removeFromCollection', replace:'replaceCollection' }[action] };
+
+      if(via) {
+        if(action !== 'remove' && parentIds.length !== 1) {
+          throw new Error(`Cannot ${action} ${attrName} for more than one ${Model.globalId} at a time.`);
+        }
+        const table = schemaName => `${esc.schema(schemaName)}.${esc.table(ChildModel.tableName)}`;
+
+        return compoundQuery(Model, async query => {
+          if(action !== 'add') {
+            await query(sendNativeQuery(schemaName => `
+              UPDATE ${table(schemaName)}
+                SET ${esc.col(via)} = NULL
+                WHERE ${esc.col(via)}=ANY($1)
+                  AND ${action === 'replace' ? 'NOT' : ''} ( ${esc.col(columnName(ChildModel, ChildModel.primaryKey))}=ANY($2) )
+            `, [ parentIds, childIds ], queryOpts));
+          }
+          if(action !== 'remove') {
+            await query(sendNativeQuery(schemaName => `
+              UPDATE ${table(schemaName)}
+                SET ${esc.col(via)} = $1
+                WHERE ${esc.col(columnName(ChildModel, ChildModel.primaryKey))}=ANY($2)
+            `, [ parentIds[0], childIds ], queryOpts));
+          }
+        });
+      }
+
+      const { Through, joinTable, parentAttr, parentCol, childAttr, childCol } = association;
+      const table = schemaName => `${esc.schema(schemaName)}.${esc.table(joinTable)}`;
+
+      return compoundQuery(Model, async query => {
+        if(action === 'remove') {
+          await query(sendNativeQuery(schemaName => `
+            DELETE FROM ${table(schemaName)}
+              WHERE ${esc.col(parentCol)}=ANY($1)
+                AND ${esc.col(childCol)}=ANY($2)
+          `, [ parentIds, childIds ], queryOpts));
+          return;
+        }
+
+        if(action === 'replace') {
+          await query(sendNativeQuery(schemaName => `
+            DELETE FROM ${table(schemaName)}
+              WHERE ${esc.col(parentCol)}=ANY($1)
+          `, [ parentIds ], queryOpts));
+        }
+
+        let pairs = [];
+        parentIds.forEach(p => childIds.forEach(c => pairs.push([ p, c ])));
+
+        if(action === 'add') {
+          const { rows } = await query(sendNativeQuery(schemaName => `
+            SELECT ${esc.col(parentCol)} AS p, ${esc.col(childCol)} AS c
+              FROM ${table(schemaName)}
+              WHERE ${esc.col(parentCol)}=ANY($1)
+                AND ${esc.col(childCol)}=ANY($2)
+          `, [ parentIds, childIds ], queryOpts));
+          pairs = pairs.filter(([ p, c ]) => !rows.some(row => String(row.p) === String(p) && String(row.c) === String(c)));
+        }
+
+        if(!pairs.length) return;
+
+        if(Through) {
+          await query(Through.createEach(pairs.map(([ p, c ]) => ({ [parentAttr]:p, [childAttr]:c }))));
+        } else {
+          const values = [];
+          await query(sendNativeQuery(schemaName => `
+            INSERT INTO ${table(schemaName)}
+                ( ${esc.col(parentCol)}, ${esc.col(childCol)} )
+                VALUES ${pairs.map(pair => `($${values.push(pair[0])}, $${values.push(pair[1])})`).join(', ')}
+          `, values, queryOpts));
+        }
+      });
+    }
+
+    function numericAggregate(fn, attr, options) {
+      const { criteria } = getCriteriaFor('select', Model, options);
+      const target = attr === undefined ? '*' : esc.col(columnName(Model, attr));
+      const args = [];
+      return sendNativeQuery((schemaName, meta) => `
+        SELECT COALESCE(${fn}(${target}), 0) AS value
+          FROM ${esc.schema(schemaName)}.${esc.table(Model.tableName)}
+          ${buildWhereQuery(criteria, args, meta)}
+      `, args, { Model, method:fn.toLowerCase(), mapResult:({ rows }) => Number(rows[0].value) });
+    }
   }
 };
 
+function runLifecycleCallback(fn, arg, context) {
+  return new Promise((resolve, reject) => {
+    const proceed = err => err ? reject(err) : resolve();
+    const ret = fn(arg, proceed, context);
+    if(ret && typeof ret.then === 'function') {
+      ret.then(() => resolve(), reject);
+    } else if(fn.length < 2) {
+      resolve();
+    }
+  });
+}
+
+function newAsyncLocalStorage() {
+  if(!asyncHooks.AsyncLocalStorage) {
+    throw new Error('ambientTransactions requires AsyncLocalStorage, available from Node.js 12.17.');
+  }
+  return new asyncHooks.AsyncLocalStorage();
+}
+
+function redactParams(params, redact) {
+  if(!redact) {
+    return params;
+  }
+  return params.map((param, i) => typeof redact === 'function' ? redact(param, i) : '[REDACTED]');
+}
+
+function elapsedMs(start) {
+  const [ s, ns ] = process.hrtime(start);
+  return s * 1e3 + ns / 1e6;
+}
+
+function queryTimeoutError(ms, raw) {
+  const err = new Error(`Query timed out after ${ms}ms.`);
+  err.name = 'TimeoutError';
+  err.code = 'E_QUERY_TIMEOUT';
+  err.raw  = raw;
+  return err;
+}
+
+function queryCancelledError(raw) {
+  const err = new Error('Query was cancelled.');
+  err.name = 'AbortError';
+  err.code = 'E_QUERY_CANCELLED';
+  err.raw  = raw;
+  return err;
+}
+
+function isTransientError(err) {
+  return !!err && (TRANSIENT_ERRORS.includes(err.code) || (!!err.raw && TRANSIENT_ERRORS.includes(err.raw.code)));
+}
+
+function getRetryDelay(backoff, attempt) {
+  if(typeof backoff === 'function') {
+    return backoff(attempt);
+  }
+  return Math.random() * Math.min(MAX_RETRY_BACKOFF, backoff * 2 ** (attempt - 1));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function buildBeginQuery({ isolationLevel, readOnly, deferrable }) {
+  const modes = [];
+  if(isolationLevel) {
+    const level = String(isolationLevel).toUpperCase();
+    if(!ISOLATION_LEVELS.includes(level)) {
+      throw new Error(`Unsupported isolationLevel: '${isolationLevel}'`);
+    }
+    modes.push(`ISOLATION LEVEL ${level}`);
+  }
+  if(readOnly)   modes.push('READ ONLY');
+  if(deferrable) modes.push('DEFERRABLE');
+  return [ 'BEGIN', ...modes ].join(' ');
+}
+
 function buildSetQuery(Model, props, values) {
   const sets = [];
 
@@ -349,61 +1891,142 @@ function buildSetQuery(Model, props, values) {
       } else {
         values.push(v);
       }
-      sets.push(`${esc.col(k)} = $${values.length}`);
+      sets.push(`${esc.col(columnName(Model, k))} = $${values.length}`);
     });
 
   return sets.join(', ');
 }
 
-function buildWhereQuery(criteria, args) {
+function buildWhereQuery(criteria, args, meta={}) {
   if(!criteria) {
     return '';
   }
 
-  if(typeof criteria === 'object') {
-    let argIdx = args.length;
-    const wher = [];
-
-    Object.entries(criteria)
-        .forEach(([ k, v ]) => {
-          if(v === null) {
-            wher.push(`${esc.col(k)} IS NULL`);
-          } else if(Array.isArray(v)) {
-            args.push(v);
-            wher.push(`${esc.col(k)}=ANY($${++argIdx})`);
-          } else if(typeof v === 'object') {
-            if(Object.keys(v).length !== 1) {
-              throw new Error('TODO: ' + JSON.stringify({ k, v }));
-            }
-            Object.entries(v)
-                .forEach(([ op, val ]) => {
-                  if(op === '!=' && val === null) {
-                    wher.push(`${esc.col(k)} IS NOT NULL`);
-                  } else if(op === '!=' && Array.isArray(val)) {
-                    // TODO need special handling for "=[...]"?
-                    args.push(val);
-                    wher.push(`NOT ( ${esc.col(k)} = ANY( $${++argIdx} ) )`);
-                  } else {
-                    args.push(val);
-                    wher.push(`${esc.col(k)}${safeOp(op)}$${++argIdx}`);
-                  }
-                });
-          } else {
-            // TODO need special handling for "=[...]"?
-            args.push(v);
-            wher.push(`${esc.col(k)}=$${++argIdx}`);
+  const wher = buildConditions(criteria, args, meta);
+
+  if(!wher.length) {
+    return '';
+  }
+
+  return `WHERE ${wher.join(' AND ')}`;
+}
+
+function buildConditions(criteria, args, meta) {
+  const wher = [];
+
+  Object.entries(criteria)
+      .forEach(([ k, v ]) => {
+        if(k === 'or') {
+          wher.push(buildGroupQuery(v, 'OR', args, meta));
+        } else if(k === 'and') {
+          wher.push(buildGroupQuery(v, 'AND', args, meta));
+        } else if(k === 'not') {
+          wher.push(`NOT ${buildGroupQuery([ v ], 'AND', args, meta)}`);
+        } else if(v === null) {
+          wher.push(`${esc.col(k)} IS NULL`);
+        } else if(Array.isArray(v)) {
+          args.push(v);
+          wher.push(`${esc.col(k)}=ANY($${args.length})`);
+        } else if(typeof v === 'object') {
+          const modifiers = Object.entries(v);
+          if(!modifiers.length) {
+            throw new Error(`No modifiers supplied in criteria for: ${k}`);
           }
-        });
+          modifiers.forEach(([ op, val ]) => {
+            wher.push(buildModifierQuery(k, op, val, args, meta));
+          });
+        } else {
+          // TODO need special handling for "=[...]"?
+          args.push(v);
+          wher.push(`${esc.col(k)}=$${args.length}`);
+        }
+      });
 
-    if(!wher.length) {
-      return '';
-    }
+  return wher;
+}
+
+/**
+ * Join a list of sub-criteria with AND or OR.  An empty list matches nothing
+ * for OR, and everything for AND.
+ */
+function buildGroupQuery(subCriteria, joiner, args, meta) {
+  if(!subCriteria.length) {
+    return joiner === 'OR' ? 'FALSE' : 'TRUE';
+  }
+
+  const parts = subCriteria.map(sub => {
+    const wher = buildConditions(sub, args, meta);
+    return wher.length ? `( ${wher.join(' AND ')} )` : 'TRUE';
+  });
+
+  return `( ${parts.join(` ${joiner} `)} )`;
+}
+
+/**
+ * Build the condition for a single Waterline modifier, e.g. `{ '>':3 }` or
+ * `{ contains:'x' }`.
+ *
+ * see: https://sailsjs.com/documentation/concepts/models-and-orm/query-language#?criteria-modifiers
+ */
+function buildModifierQuery(k, op, val, args, meta) {
+  const col = esc.col(k);
+  const like = meta.makeLikeModifierCaseInsensitive ? 'ILIKE' : 'LIKE';
+
+  switch(op) {
+    case 'in':
+      args.push(requireArray(op, val));
+      return `${col}=ANY($${args.length})`;
+    case 'nin':
+      args.push(requireArray(op, val));
+      return `NOT ( ${col} = ANY( $${args.length} ) )`;
+    case 'contains':
+      args.push(`%${escapeLike(requireString(op, val))}%`);
+      return `${col} ${like} $${args.length}`;
+    case 'startsWith':
+      args.push(`${escapeLike(requireString(op, val))}%`);
+      return `${col} ${like} $${args.length}`;
+    case 'endsWith':
+      args.push(`%${escapeLike(requireString(op, val))}`);
+      return `${col} ${like} $${args.length}`;
+    case 'like':
+      // The value is a pattern supplied by the caller, so is not escaped.
+      args.push(requireString(op, val));
+      return `${col} ${like} $${args.length}`;
+  }
+
+  if(op === '!=' && val === null) {
+    return `${col} IS NOT NULL`;
+  } else if(op === '!=' && Array.isArray(val)) {
+    // TODO need special handling for "=[...]"?
+    args.push(val);
+    return `NOT ( ${col} = ANY( $${args.length} ) )`;
+  } else {
+    const sqlOp = safeOp(op);
+    args.push(val);
+    return `${col}${sqlOp}$${args.length}`;
+  }
+}
+
+function requireArray(op, val) {
+  if(!Array.isArray(val)) {
+    throw new Error(`Expected an array for "${op}" in criteria, but got: ${JSON.stringify(val)}`);
+  }
+  return val;
+}
 
-    return `WHERE ${wher.join(' AND ')}`;
+function requireString(op, val) {
+  if(typeof val !== 'string') {
+    throw new Error(`Expected a string for "${op}" in criteria, but got: ${JSON.stringify(val)}`);
   }
+  return val;
+}
 
-  args.push(criteria);
-  return `WHERE id=$${args.length}`;
+/**
+ * Escape LIKE wildcards so that user input is matched literally.  Backslash is
+ * postgres's default escape character for LIKE & ILIKE.
+ */
+function escapeLike(str) {
+  return str.replace(/[\\%_]/g, '\\$&');
 }
 
 function buildValuesQuery(Model, cols, props, values) {
@@ -422,40 +2045,276 @@ function buildValuesQuery(Model, cols, props, values) {
   return `(${q.join(', ')})`;
 }
 
-function buildColumnNamesQuery(cols) {
-  return `( ${cols.map(esc.col).join(', ')} )`;
+function buildColumnNamesQuery(Model, cols) {
+  return `( ${cols.map(attr => esc.col(columnName(Model, attr))).join(', ')} )`;
 }
 
-function buildOrderByQuery(orderBy) {
-  if(!orderBy) {
+function buildOnConflictQuery(Model, conflictTarget, suppliedCols) {
+  let target, targetCols = [];
+  if(conflictTarget && conflictTarget.constraint) {
+    target = `ON CONSTRAINT ${esc.col(conflictTarget.constraint)}`;
+  } else {
+    targetCols = [].concat(conflictTarget).map(attr => requireAttribute(Model, attr));
+    target = `( ${targetCols.map(attr => esc.col(columnName(Model, attr))).join(', ')} )`;
+  }
+
+  const updateCols = Object.keys(Model.attributes)
+      .filter(attr => suppliedCols.includes(attr) || Model.attributes[attr].autoUpdatedAt)
+      .filter(attr => !targetCols.includes(attr) && !Model.attributes[attr].autoCreatedAt);
+
+  if(!updateCols.length) {
+    return `ON CONFLICT ${target} DO NOTHING`;
+  }
+
+  const set = updateCols
+      .map(attr => esc.col(columnName(Model, attr)))
+      .map(col => `${col} = EXCLUDED.${col}`);
+  return `ON CONFLICT ${target} DO UPDATE SET ${set.join(', ')}`;
+}
+
+function buildOrderByQuery(orderBy, Model) {
+  return buildSortKeysQuery(parseSort(orderBy, Model));
+}
+
+function buildSortKeysQuery(sortKeys) {
+  if(!sortKeys.length) {
     return '';
   }
-  const parts = orderBy.trim().split(/\s+/);
-  let dir = '';
-  switch(parts.length) {
-    case 0: return '';
-    case 1: /* ok */ break;
-    case 2: dir = parts[1].toUpperCase(); break;
-    default: throw new Error(`Unexpected extras in ORDER BY clause: "${orderBy}"`);
+  return ` ORDER BY ${sortKeys.map(key => `${buildSortKeyExpression(key)} ${key.dir}${key.nulls ? ` NULLS ${key.nulls}` : ''}`).join(', ')}`;
+}
+
+function buildSortKeyExpression({ col, path }) {
+  if(!path) {
+    return esc.col(col);
+  }
+  return `(${esc.col(col)}::jsonb #> ARRAY[${path.map(fmt.literal).join(', ')}])`;
+}
+
+/**
+ * Parse sort criteria into a list of { attr, col, dir, nulls, path }.  Accepts any
+ * of the forms waterline does, and combinations thereof:
+ *
+ *   'name'
+ *   'name DESC, id ASC'
+ *   { name:'DESC', id:'ASC' }
+ *   [ { name:'DESC' }, 'id ASC' ]
+ *
+ * Each direction may be followed by NULLS FIRST or NULLS LAST.  Attributes of
+ * type json may be sorted by a path within them, e.g. 'address.city DESC'.
+ *
+ * If Model is supplied, sort keys are checked against its attributes.
+ */
+function parseSort(orderBy, Model) {
+  if(!orderBy) {
+    return [];
+  }
+  if(Array.isArray(orderBy)) {
+    return [].concat(...orderBy.map(it => parseSort(it, Model)));
+  }
+  if(typeof orderBy === 'object') {
+    return Object.entries(orderBy).map(([ key, dir ]) => {
+      if(typeof dir !== 'string') {
+        throw new Error(`Unexpected direction provided in ORDER BY clause: "${dir}"`);
+      }
+      return parseSortKey(`${key} ${dir}`, Model);
+    });
+  }
+  if(typeof orderBy !== 'string') {
+    throw new Error(`Unexpected ORDER BY clause: "${orderBy}"`);
+  }
+  return orderBy.split(',')
+    .filter(it => it.trim())
+    .map(it => parseSortKey(it, Model));
+}
+
+function parseSortKey(str, Model) {
+  const [ key, ...parts ] = str.trim().split(/\s+/);
+  const extras = parts.map(it => it.toUpperCase());
+
+  let dir = 'ASC';
+  if(extras.length === 1 || extras.length === 3) {
+    dir = extras.shift();
+    if(!['ASC', 'DESC'].includes(dir)) {
+      throw new Error(`Unexpected direction provided in ORDER BY clause: "${dir}"`);
+    }
+  }
+
+  let nulls;
+  if(extras.length === 2 && extras[0] === 'NULLS' && [ 'FIRST', 'LAST' ].includes(extras[1])) {
+    nulls = extras[1];
+  } else if(extras.length) {
+    throw new Error(`Unexpected extras in ORDER BY clause: "${str.trim()}"`);
+  }
+
+  const [ attr, ...path ] = key.split('.');
+  if(Model) {
+    requireAttribute(Model, attr);
+    if(path.length && Model.attributes[attr].type !== 'json') {
+      throw new Error(`Cannot sort by path within non-json attribute for model ${Model.globalId}: ${key}`);
+    }
   }
-  if(dir && !['ASC', 'DESC'].includes(dir)) {
-    throw new Error(`Unexpected direction provided in ORDER BY clause: "${dir}"`);
+  return { attr, col:Model ? columnName(Model, attr) : attr, dir, nulls, path:path.length ? path : undefined };
+}
+
+/**
+ * Build the condition for rows which sort after `lastSeen`.  When all keys
+ * sort in the same direction, a row comparison is used, as it can make use of
+ * a matching multi-column index.
+ *
+ * N.B. sort keys used for keyset pagination should not contain NULLs.
+ */
+function buildKeysetQuery(sortKeys, lastSeen, args) {
+  const params = sortKeys.map(({ attr, nulls, path }) => {
+    if(nulls || path) {
+      throw new Error(`after() does not support sorting with NULLS FIRST/LAST or by json path: ${attr}`);
+    }
+    if(lastSeen[attr] === undefined) {
+      throw new Error(`after() requires a value for sort key: ${attr}`);
+    }
+    args.push(lastSeen[attr]);
+    return `$${args.length}`;
+  });
+  const op = dir => dir === 'DESC' ? '<' : '>';
+
+  if(sortKeys.every(({ dir }) => dir === sortKeys[0].dir)) {
+    return `( ${sortKeys.map(({ col }) => esc.col(col)).join(', ')} ) ${op(sortKeys[0].dir)} ( ${params.join(', ')} )`;
   }
-  return ` ORDER BY ${esc.col(parts[0])} ${dir}`;
+
+  const alternatives = sortKeys.map(({ col, dir }, i) => {
+    const equalities = sortKeys.slice(0, i).map((key, j) => `${esc.col(key.col)} = ${params[j]}`);
+    return `( ${[ ...equalities, `${esc.col(col)} ${op(dir)} ${params[i]}` ].join(' AND ')} )`;
+  });
+  return `( ${alternatives.join(' OR ')} )`;
 }
 
 function buildLimitQuery(limit) {
   return limit === undefined ? '' : ` LIMIT ${esc.num(limit)}`;
 }
 
+function buildSkipQuery(skip) {
+  return skip ? ` OFFSET ${esc.num(skip)}` : '';
+}
+
+/**
+ * Postgres error codes which are surfaced to intercept() and tolerate() as
+ * waterline-style named errors.
+ */
+const PG_ERRORS = {
+  '23502': { code:'E_NOT_NULL',              identity:'notNull' },
+  '23503': { code:'E_FOREIGN_KEY',           identity:'foreignKey' },
+  '23505': { code:'E_UNIQUE',                identity:'notUnique' },
+  '23514': { code:'E_CHECK',                 identity:'checkViolation' },
+  '23P01': { code:'E_EXCLUSION',             identity:'exclusionViolation' },
+  '40001': { code:'E_SERIALIZATION_FAILURE', identity:'serializationFailure' },
+  '40P01': { code:'E_DEADLOCK',              identity:'deadlock' },
+};
+
+/**
+ * Convert a postgres error to a waterline-style AdapterError, e.g.
+ *
+ *   { name:'AdapterError', code:'E_UNIQUE', footprint:{ identity:'notUnique', keys:[ 'email' ] }, raw:<pg error> }
+ *
+ * Other errors are returned unchanged.
+ */
+function toAdapterError(err, Model) {
+  const known = err && PG_ERRORS[err.code];
+  if(!known) {
+    return err;
+  }
+
+  const adapterError = new Error(err.message);
+  adapterError.name          = 'AdapterError';
+  adapterError.code          = known.code;
+  const keys = getErrorKeys(err, Model).map(col => Model ? attributeName(Model, col) : col);
+  adapterError.footprint     = { identity:known.identity, keys };
+  adapterError.modelIdentity = Model && Model.identity;
+  adapterError.raw           = err;
+  return adapterError;
+}
+
+function getErrorKeys({ code, column, constraint, detail, table }, Model) {
+  if(column) {
+    return [ column ];
+  }
+
+  // e.g. 'Key (owner)=(5) is not present in table "owner".'
+  const keyMatch = detail && detail.match(/^Key \((.*?)\)=/);
+  if(keyMatch) {
+    return keyMatch[1].split(', ').map(key => key.replace(/^"(.*)"$/, '$1'));
+  }
+
+  // Postgres names single-column check constraints <table>_<column>_check
+  if(code === '23514' && constraint && table) {
+    const col = constraint.slice(table.length + 1, -'_check'.length);
+    if(constraint.startsWith(`${table}_`) && constraint.endsWith('_check') && (!Model || isColumn(Model, attributeName(Model, col)))) {
+      return [ col ];
+    }
+  }
+
+  return [];
+}
+
 /**
- * Map sails error names to postgres error codes.
+ * Build a handler for intercept() or tolerate().  As in waterline, the filter
+ * may be an error code like 'E_UNIQUE', an object to match against the error
+ * (e.g. { footprint:{ keys:[ 'email' ] } }), or omitted to catch everything:
+ *
+ *   .intercept('E_UNIQUE', err => new Error('Email already in use'))
+ *   .intercept(err => err.code === '23505' ? new Error('Duplicate') : err)
+ *   .intercept(err => new Error(`Something went wrong: ${err.message}`))
+ *   .tolerate({ code:'E_UNIQUE' }, err => fallbackValue)
  */
-function getErrorCodesFor(sailsErrorName) {
-  switch(sailsErrorName) {
-    case 'E_UNIQUE': return [ 23505 ];
-    default: return []; //throw new Error(`Sails->Postgres code mapping not configured for "${sailsErrorName}"`);
+function errorHandler(filter, handler, tolerate) {
+  if(typeof filter === 'function' && handler === undefined) {
+    return { tolerate, handle:filter };
+  }
+  if(filter !== undefined && typeof filter !== 'string' && typeof filter !== 'object') {
+    throw new Error(`Unexpected error filter: '${filter}'`);
+  }
+  return { tolerate, filter, handle:handler };
+}
+
+/**
+ * Apply the first matching error handler.  Resolves with the value of a
+ * tolerate() handler, and otherwise rejects.
+ *
+ * Filters are matched against the AdapterError, but handlers are passed the
+ * original error, as they always have been, with the AdapterError's code as
+ * `adapterCode`, and its footprint and modelIdentity, e.g.
+ *
+ *   .intercept('E_UNIQUE', err => err.code)        => '23505'
+ *   .intercept('E_UNIQUE', err => err.adapterCode) => 'E_UNIQUE'
+ */
+async function handleError(err, Model, errorHandlers) {
+  const error = toAdapterError(err, Model);
+
+  const match = errorHandlers.find(({ filter }) => {
+    if(filter === undefined) return true;
+    if(typeof filter === 'string') return error.code === filter;
+    return isMatch(error, filter);
+  });
+
+  if(!match) {
+    throw err;
+  }
+
+  if(error !== err) {
+    err.adapterCode   = error.code;
+    err.footprint     = error.footprint;
+    err.modelIdentity = error.modelIdentity;
+  }
+
+  const { tolerate, handle } = match;
+  if(tolerate) {
+    return typeof handle === 'function' ? handle(err) : undefined;
+  }
+  if(typeof handle === 'function') {
+    throw handle(err);
   }
+  if(typeof handle === 'string') {
+    throw handle;
+  }
+  throw new Error(`No handling for intercepter of this type yet: '${handle}'`);
 }
 
 function safeOp(op) {
@@ -483,17 +2342,44 @@ function withTimestampsCast(row) {
   return row;
 }
 
+/**
+ * Encode row alias as JSON for fromJsonRow().  JSON values would lose the
+ * types of e.g. BIGINT, NUMERIC and TIMESTAMPTZ columns, so the model's
+ * columns are also included as text, with their type OIDs.
+ */
+function buildJsonRowQuery(Model, alias) {
+  const cols = jsonRowColumns(Model).map(col => `${alias}.${esc.col(col)}`);
+  return `json_build_array(
+    to_json(${alias}),
+    ARRAY[${cols.map(col => `${col}::text`).join(', ')}]::text[],
+    ARRAY[${cols.map(col => `pg_typeof(${col})::oid`).join(', ')}]::oid[]
+  )`;
+}
+
+function jsonRowColumns(Model) {
+  return Object.keys(Model.attributes)
+    .filter(attr => isColumn(Model, attr))
+    .map(attr => columnName(Model, attr));
+}
+
 function withSelectedValuesCast(Model, row) {
   if(!Model) {
     throw new Error('No model supplied!  ' + JSON.stringify(row, null, 2));
   }
   if(row) {
+    const toAttr = attributesByColumn.get(Model);
+    if(toAttr) {
+      const renamed = {};
+      Object.entries(row).forEach(([ k, v ]) => { renamed[toAttr[k] || k] = v; });
+      row = renamed;
+    }
+
     row = withTimestampsCast(row);
 
     Object.entries(row)
       .forEach(([ k, v ]) => {
         if(v === undefined || v === null) {
-          const { allowNull, type } = Model.attributes[k];
+          const { allowNull, type } = Model.attributes[k] || {};
           if(!allowNull) {
             // > The string, number, and boolean data types do not accept null as a value when creating or updating
             // > records. In order to allow a null value to be set, you can toggle the allowNull flag on the
@@ -513,29 +2399,58 @@ function withSelectedValuesCast(Model, row) {
   return row;
 }
 
+/**
+ * Generate a value for an attribute with `autoGenerate` set, e.g. a primary key
+ * which is not generated by the database.  autoGenerate may be 'uuidv4',
+ * 'uuidv7' or a function, or 'database' to leave the column out of the INSERT
+ * so that its DEFAULT applies.
+ */
+function generateValue(autoGenerate) {
+  switch(autoGenerate) {
+    case 'uuidv4': return uuid(4);
+    case 'uuidv7': return uuid(7);
+    default:       return autoGenerate();
+  }
+}
+
+function uuid(version) {
+  const bytes = crypto.randomBytes(16);
+  if(version === 7) {
+    bytes.writeUIntBE(Date.now(), 0, 6);
+  }
+  bytes[6] = (bytes[6] & 0x0f) | (version << 4);
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = bytes.toString('hex');
+  return [ hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20) ].join('-');
+}
+
 function withDefaultValues(Model, props, { creating }={}) {
   if(!Model) {
     throw new Error('No model supplied!  ' + JSON.stringify(props, null, 2));
   }
   if(props) {
     Object.entries(Model.attributes)
+      .filter(([ , cfg ]) => !cfg.collection)
       .forEach(([ attr, cfg ]) => {
         if(creating && props[attr] === undefined) {
-          const { defaultsTo } = cfg;
-          if(defaultsTo !== undefined) {
+          const { autoGenerate, defaultsTo } = cfg;
+          if(autoGenerate && autoGenerate !== 'database') {
+            props[attr] = generateValue(autoGenerate);
+          } else if(defaultsTo !== undefined) {
             props[attr] = cloneDeep(defaultsTo);
           }
         }
         // FIXME this check doesn't look quite correct for autoUpdatedAt attributes which are undefined here
         if((creating && props[attr] === undefined) || props[attr] === null) {
-          const { allowNull, type, autoCreatedAt, autoUpdatedAt, autoIncrement } = cfg;
+          const { allowNull, type, autoCreatedAt, autoUpdatedAt } = cfg;
           if(autoCreatedAt) {
             if(creating) {
               props[attr] = NOW;
             }
           } else if(autoUpdatedAt) {
             props[attr] = NOW;
-          } else if(!allowNull && !autoIncrement) {
+          } else if(!allowNull && !isGeneratedByDatabase(cfg)) {
             // > The string, number, and boolean data types do not accept null as a value when creating or updating
             // > records. In order to allow a null value to be set, you can toggle the allowNull flag on the
             // > attribute. Note that the allowNull flag is only valid on the data types listed above. It is not
@@ -559,17 +2474,17 @@ function getCriteriaFor(action, Model, options) {
     throw new Error('Unknown action:', action);
   }
 
-  let select = '*', criteria, orderBy, limit;
+  let select = '*', where, criteria, orderBy, limit, skip;
 
-  if(Object.keys(options).some(it => ['select'].includes(it))) {
+  if(Object.keys(options).some(it => [ 'select', 'where', 'sort', 'limit', 'skip' ].includes(it))) {
     if(options.select) {
       select = options.select
-          .filter(k => Model.attributes[k])
-          .map(esc.col)
+          .filter(k => isColumn(Model, k))
+          .map(k => esc.col(columnName(Model, k)))
           .join(', ');
     }
     if(options.where) {
-      criteria = withoutUnrecognisedProperties(Model, options.where);
+      where = withoutUnrecognisedCriteria(Model, options.where);
     }
     if(options.sort) {
       orderBy = options.sort;
@@ -577,15 +2492,65 @@ function getCriteriaFor(action, Model, options) {
     if(options.limit) {
       limit = options.limit;
     }
+    if(options.skip) {
+      skip = options.skip;
+    }
   } else {
-    criteria = withoutUnrecognisedProperties(Model, options);
+    where = withoutUnrecognisedCriteria(Model, options);
+  }
+  if(where) {
+    criteria = withColumnCriteria(Model, where);
   }
 
   if(action === 'delete' && select !== '*') {
     throw new Error('Cannot understand use of select()/{ select } in a destroy() call.');
   }
 
-  return { select, criteria, orderBy, limit };
+  return { select, where, criteria, orderBy, limit, skip };
+}
+
+/**
+ * Sub-criteria for populate() may either be a plain where clause, or an object
+ * with some of: where, select, sort, limit, skip.
+ */
+function getPopulateCriteriaFor(Model, subCriteria={}) {
+  const keys = [ 'where', 'select', 'sort', 'limit', 'skip' ];
+  if(!Object.keys(subCriteria).some(k => keys.includes(k))) {
+    subCriteria = { where:subCriteria };
+  }
+
+  const { where, select, sort, limit, skip } = subCriteria;
+  [ [ 'limit', limit ], [ 'skip', skip ] ].forEach(([ k, v ]) => {
+    if(v !== undefined && !(Number.isSafeInteger(v) && v >= 0)) {
+      throw new Error(`Populate ${k} must be a non-negative integer.`);
+    }
+  });
+
+  return {
+    select:   select && [ Model.primaryKey, ...select.filter(k => k !== Model.primaryKey && isColumn(Model, k)) ],
+    criteria: Object.keys(where || {}).length ? withColumnCriteria(Model, withoutUnrecognisedCriteria(Model, where)) : undefined,
+    orderBy:  sort,
+    limit,
+    skip,
+  };
+}
+
+function requireOnlySelect(attrName, populateCriteria) {
+  const { criteria, orderBy, limit, skip } = populateCriteria;
+  if([ criteria, orderBy, limit, skip ].some(it => it !== undefined)) {
+    throw new Error(`Only select is supported when populating singular association: ${attrName}`);
+  }
+  return populateCriteria;
+}
+
+function withSelectedOnly(row, select) {
+  if(!select) {
+    return row;
+  }
+
+  const selected = {};
+  select.forEach(k => { selected[k] = row[k]; });
+  return selected;
 }
 
 function withoutUnrecognisedProperties(Model, props) {
@@ -596,21 +2561,216 @@ function withoutUnrecognisedProperties(Model, props) {
 
   props = { ...props };
   Object.keys(props).forEach(k => {
-    if(!Model.attributes[k]) {
+    if(!isColumn(Model, k)) {
       delete props[k];
     }
   });
   return props;
 }
 
-function validateProperties(Model, props) {
-  for(const prop of Object.keys(props)) {
-    const attr = Model.attributes[prop];
-    if(attr && attr.validations) {
-      const { isIn } = attr.validations;
-      if(isIn && !isIn.includes(props[prop])) {
-        throw new Error('supplied value is not allowed');
+/**
+ * Expand a primary key value, e.g. Model.findOne(7), to criteria.
+ */
+function withPrimaryKeyCriteria(Model, criteria) {
+  if(criteria === null || typeof criteria !== 'object') {
+    return { [Model.primaryKey]:criteria };
+  }
+  return criteria;
+}
+
+/**
+ * Like withoutUnrecognisedProperties(), but preserves (and recurses into)
+ * the boolean groups `or`, `and` and `not`.  Unrecognised keys inside a group
+ * are an error.
+ */
+function withoutUnrecognisedCriteria(Model, criteria, inGroup=false) {
+  if(criteria === null || typeof criteria !== 'object') {
+    return withPrimaryKeyCriteria(Model, criteria);
+  }
+
+  const recognised = {};
+  Object.entries(criteria).forEach(([ k, v ]) => {
+    if(k === 'or' || k === 'and') {
+      if(!Array.isArray(v)) {
+        throw new Error(`Expected an array for "${k}" in criteria, but got: ${JSON.stringify(v)}`);
       }
+      recognised[k] = v.map(sub => withoutUnrecognisedCriteria(Model, sub, true));
+    } else if(k === 'not') {
+      if(!v || typeof v !== 'object' || Array.isArray(v)) {
+        throw new Error(`Expected an object for "not" in criteria, but got: ${JSON.stringify(v)}`);
+      }
+      recognised[k] = withoutUnrecognisedCriteria(Model, v, true);
+    } else if(isColumn(Model, k)) {
+      recognised[k] = v;
+    } else if(inGroup) {
+      // Dropping the key could widen the group to match every row.
+      throw new Error(`Unrecognised attribute in criteria: ${k}`);
+    }
+  });
+  return recognised;
+}
+
+/**
+ * Translate attribute names in criteria to column names.  Unlike
+ * withoutUnrecognisedCriteria(), unrecognised keys are left in place.
+ */
+function withColumnCriteria(Model, criteria) {
+  const mapped = {};
+  Object.entries(criteria).forEach(([ k, v ]) => {
+    if((k === 'or' || k === 'and') && Array.isArray(v)) {
+      mapped[k] = v.map(sub => withColumnCriteria(Model, sub));
+    } else if(k === 'not' && v && typeof v === 'object') {
+      mapped[k] = withColumnCriteria(Model, v);
+    } else {
+      mapped[isColumn(Model, k) ? columnName(Model, k) : k] = v;
     }
+  });
+  return mapped;
+}
+
+function columnName(Model, attr) {
+  const cfg = Model.attributes[attr];
+  return (cfg && cfg.columnName) || attr;
+}
+
+function attributeName(Model, col) {
+  const toAttr = attributesByColumn.get(Model);
+  return (toAttr && toAttr[col]) || col;
+}
+
+/**
+ * Plural associations (`collection`) are attributes of the model, but not
+ * columns of its table.
+ */
+function isColumn(Model, attr) {
+  const cfg = Model.attributes[attr];
+  return !!cfg && !cfg.collection;
+}
+
+/**
+ * Attributes whose value the database supplies when they are left out of an
+ * INSERT: autoIncrement, and autoGenerate:'database' for other column DEFAULTs.
+ */
+function isGeneratedByDatabase({ autoIncrement, autoGenerate }) {
+  return !!autoIncrement || autoGenerate === 'database';
+}
+
+/**
+ * Whether an attribute may be written as null: string, number and boolean
+ * attributes are written as empty values instead unless allowNull is set.
+ */
+function mayBeNull(Model, attr) {
+  const cfg = Model.attributes[attr];
+  const { allowNull, required, type } = cfg;
+  if(attr === Model.primaryKey || isGeneratedByDatabase(cfg) || required) {
+    return false;
+  }
+  return !!allowNull || ![ 'boolean', 'number', 'string' ].includes(type);
+}
+
+function requireAttribute(Model, attr) {
+  if(!isColumn(Model, attr)) {
+    throw new Error(`Unrecognised attribute for model ${Model.globalId}: ${attr}`);
   }
+  return attr;
 }
+
+/**
+ * An E_INVALID_NEW_RECORD or E_INVALID_VALUES_TO_SET error if any of the
+ * supplied properties fail their attribute's type or validation rules.  The
+ * query rejects with it when run, so that intercept() and tolerate() apply.
+ *
+ * The error lists every failure, e.g.
+ *
+ *   err.invalidAttributes = { email:[ { rule:'isEmail', message:'Value should be a valid email address' } ] }
+ */
+function getValidationError(Model, props, { creating }={}) {
+  const invalidAttributes = getInvalidAttributes(Model, props, { creating });
+  if(Object.keys(invalidAttributes).length) {
+    return creating ?
+        validationError(Model, 'E_INVALID_NEW_RECORD', 'Invalid new record.', invalidAttributes) :
+        validationError(Model, 'E_INVALID_VALUES_TO_SET', 'Invalid values to set.', invalidAttributes);
+  }
+}
+
+function getInvalidAttributes(Model, props, { creating }) {
+  const invalidAttributes = {};
+  const fail = (attr, rule, message) => {
+    invalidAttributes[attr] = [ ...(invalidAttributes[attr] || []), { rule, message } ];
+  };
+
+  Object.entries(Model.attributes)
+    .filter(([ attr, cfg ]) => !cfg.collection && (creating || props[attr] !== undefined))
+    .forEach(([ attr, cfg ]) => {
+      const value = props[attr];
+
+      // Like waterline, empty values are only checked against `required`.
+      if(value === undefined || value === null || value === '') {
+        if(cfg.required) {
+          fail(attr, 'required', 'Value is required');
+        }
+        return;
+      }
+
+      if(!cfg.model && !isOfType(cfg.type, value)) {
+        fail(attr, 'type', `Value should be of type ${cfg.type}`);
+        return;
+      }
+
+      Object.entries(cfg.validations || {})
+        .filter(([ , ruleCfg ]) => ruleCfg !== false)
+        .forEach(([ rule, ruleCfg ]) => {
+          const { check, message } = VALIDATION_RULES[rule];
+          let passed;
+          try {
+            passed = check(value, ruleCfg);
+          } catch(err) {
+            return fail(attr, rule, err.message);
+          }
+          if(!passed) {
+            fail(attr, rule, message(ruleCfg));
+          }
+        });
+    });
+
+  return invalidAttributes;
+}
+
+function isOfType(type, value) {
+  switch(type) {
+    case 'string':  return typeof value === 'string';
+    case 'number':  return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    default:        return true;
+  }
+}
+
+function isURL(value) {
+  if(typeof value !== 'string' || /\s/.test(value)) {
+    return false;
+  }
+  try {
+    const { hostname, protocol } = new URL(value.includes('://') ? value : `http://${value}`);
+    return [ 'http:', 'https:', 'ftp:' ].includes(protocol) && (hostname.includes('.') || hostname === 'localhost');
+  } catch(err) {
+    return false;
+  }
+}
+
+function validationError(Model, code, summary, invalidAttributes) {
+  const problems = [];
+  Object.entries(invalidAttributes).forEach(([ attr, failures ]) => {
+    failures.forEach(({ message }) => problems.push(`Could not use specified \`${attr}\`.  ${message}.`));
+  });
+
+  const err = new Error(`${summary}\nDetails:\n${problems.map(p => `  • ${p}`).join('\n')}`);
+  err.name              = 'UsageError';
+  err.code              = code;
+  err.modelIdentity     = Model.identity;
+  err.problems          = problems;
+  err.invalidAttributes = invalidAttributes;
+  return err;
+}
+
+// Also used for the sails hook driver's parseNativeQueryError().
+module.exports.toAdapterError = toAdapterError;
@@ -4,48 +4,228 @@ const pg = require('pg');
 
 const plimsoll = require('./plimsoll');
 
+/**
+ * The waterline driver methods used by sails hooks, in the style of
+ * machinepack-postgresql: each may be awaited, or run with .exec() or
+ * .switch(), e.g.
+ *
+ *   const { connection } = await datastore.driver.getConnection({ manager:datastore.manager });
+ *
+ *   datastore.driver.sendNativeQuery({ connection, nativeQuery, valuesToEscape }).switch({
+ *     error:       err => ...,
+ *     queryFailed: ({ error }) => ...,
+ *     success:     ({ result }) => ...,
+ *   });
+ */
+const driver = {
+  createManager: machine(async ({ connectionString, onUnexpectedFailure, meta }) => {
+    const pool = new pg.Pool({ connectionString });
+    if(onUnexpectedFailure) {
+      pool.on('error', onUnexpectedFailure);
+    }
+    return { manager:{ pool, connectionString }, meta };
+  }),
+  destroyManager: machine(async ({ manager, meta }) => {
+    try {
+      await manager.pool.end();
+    } catch(error) {
+      throw exit('failed', { error, meta });
+    }
+    return { meta };
+  }),
+  getConnection: machine(async ({ manager, meta }) => {
+    try {
+      return { connection:await manager.pool.connect(), meta };
+    } catch(error) {
+      throw exit('failed', { error, meta });
+    }
+  }),
+  releaseConnection: machine(async ({ connection, meta }) => {
+    requireConnection(connection, meta).release();
+    return { meta };
+  }),
+  sendNativeQuery: machine(async ({ connection, nativeQuery, valuesToEscape, meta }) => {
+    requireConnection(connection, meta);
+    try {
+      return { result:await connection.query(nativeQuery, valuesToEscape), meta };
+    } catch(error) {
+      throw exit('queryFailed', { error, meta });
+    }
+  }),
+  parseNativeQueryError: machine(async ({ nativeQueryError, meta }) => ({ footprint:parseNativeQueryError(nativeQueryError), meta })),
+  beginTransaction:    machine(async ({ connection, meta }) => { await requireConnection(connection, meta).query('BEGIN');    return { meta }; }),
+  commitTransaction:   machine(async ({ connection, meta }) => { await requireConnection(connection, meta).query('COMMIT');   return { meta }; }),
+  rollbackTransaction: machine(async ({ connection, meta }) => { await requireConnection(connection, meta).query('ROLLBACK'); return { meta }; }),
+};
+
 module.exports = function(sails) {
   const { config } = sails;
 
-  const pool = getPoolFrom(config.datastores.default);
+  const defaultDatastore = config.models.datastore || 'default';
 
-  const modelSources = {};
+  const modelSourcesByDatastore = {};
+  Object.keys(config.datastores).forEach(name => { modelSourcesByDatastore[name] = {}; });
 
   fs.readdirSync(config.paths.models)
     .filter(f => f.endsWith('.js'))
     .forEach(f => {
       const modelName = f.replace(/\.js$/, '');
-      modelSources[modelName] = require(path.join(config.paths.models, f));
+      const modelSource = require(path.join(config.paths.models, f));
+      const datastoreName = modelSource.datastore || defaultDatastore;
+      if(!modelSourcesByDatastore[datastoreName]) {
+        throw new Error(`Unknown datastore for model ${modelName}: ${datastoreName}`);
+      }
+      modelSourcesByDatastore[datastoreName][modelName] = modelSource;
     });
 
-  const { models, sendNativeQuery, transaction } = plimsoll(pool, modelSources, config.models.attributes);
-
+  const datastores = {};
   const sailsModels = {};
   Object
-    .entries(models)
-    .forEach(([ name, model ]) => {
-      const sailsName = name.toLowerCase();
-      if(sailsModels[sailsName]) throw new Error(`Model name collision: ${sailsName}`);
-      sailsModels[sailsName] = model;
+    .entries(modelSourcesByDatastore)
+    .forEach(([ datastoreName, modelSources ]) => {
+      const datastoreConfig = config.datastores[datastoreName];
+      const { ambientTransactions, queryTimeout, ...connectionConfig } = datastoreConfig;
+      if(queryTimeout !== undefined && connectionConfig.pool) {
+        throw new Error(`Cannot set queryTimeout for datastore ${datastoreName} with a supplied pool: set the pool's statement_timeout instead.`);
+      }
+      // Each connection's statement_timeout, which is the default for every query
+      const pool = getPoolFrom({ statement_timeout:queryTimeout, ...connectionConfig });
+      const { models, leaseConnection, logSlowQueries, off, on, sendNativeQuery, transaction, verifySchema, withoutTransaction } =
+          plimsoll(pool, modelSources, config.models.attributes, { ambientTransactions });
+
+      // As sails-hook-orm's datastores, plus plimsoll's extras
+      datastores[datastoreName] = {
+        name:    datastoreName,
+        config:  { ...datastoreConfig },
+        driver,
+        manager: { pool },
+        leaseConnection,
+        logSlowQueries,
+        off,
+        on,
+        sendNativeQuery,
+        transaction,
+        verifySchema,
+        withoutTransaction,
+      };
+
+      // e.g. sails.config.plimsoll.slowQueryLog = { threshold:500, redact:true }
+      const { slowQueryLog } = config.plimsoll || {};
+      if(slowQueryLog) {
+        logSlowQueries({
+          ...slowQueryLog,
+          log: (message, details) => sails.log.warn(message, { datastore:datastoreName, ...details }),
+        });
+      }
+
+      Object
+        .entries(models)
+        .forEach(([ name, model ]) => {
+          const sailsName = name.toLowerCase();
+          if(sailsModels[sailsName]) throw new Error(`Model name collision: ${sailsName}`);
+          model.datastore = datastoreName;
+          model.getDatastore = () => datastores[datastoreName];
+          sailsModels[sailsName] = model;
+        });
     });
 
   sails.models = sailsModels;
-  sails.sendNativeQuery = sendNativeQuery;
+  if(datastores[defaultDatastore]) {
+    sails.sendNativeQuery = datastores[defaultDatastore].sendNativeQuery;
+  }
 
   if(config.globals.models) {
-    Object.values(models)
+    Object.values(sailsModels)
       .forEach(model => {
         global[model.globalId] = model;
       });
   }
 
-  sails.getDatastore = () => {
-    return { manager:{ pool }, sendNativeQuery, transaction };
+  sails.getDatastore = (name=defaultDatastore) => {
+    if(!datastores[name]) {
+      throw new Error(`Unknown datastore: ${name}`);
+    }
+    return datastores[name];
+  };
+
+  return {
+    initialize: done => {
+      verifySchemas().then(() => done(), done);
+    },
   };
 
-  return {};
+  /**
+   * With sails.config.plimsoll.verifySchema set, compare every datastore's
+   * models with the database at lift.  Drift is logged as a warning, or
+   * fails the lift if verifySchema is 'strict'.
+   */
+  async function verifySchemas() {
+    const { verifySchema, schemaName } = config.plimsoll || {};
+    if(!verifySchema) return;
+
+    const drift = [];
+    for(const [ datastore, { verifySchema:verify } ] of Object.entries(datastores)) {
+      const diff = await verify({ schemaName });
+      diff.forEach(d => drift.push({ datastore, ...d }));
+    }
+    if(!drift.length) return;
+
+    if(verifySchema === 'strict') {
+      const err = new Error(`Database schema does not match models:\n${drift.map(d => `  ${JSON.stringify(d)}`).join('\n')}`);
+      err.code  = 'E_SCHEMA_DRIFT';
+      err.drift = drift;
+      throw err;
+    }
+    drift.forEach(d => sails.log.warn('plimsoll: database schema does not match models:', d));
+  }
 };
 
+/**
+ * Wrap an async function as a driver method.  Its output is passed to the
+ * `success` exit, and errors from exit() to the named exit.  As with machines,
+ * .exec(cb) is passed an error with `exit` and `raw` set for other exits.
+ */
+function machine(fn) {
+  return (inputs={}) => {
+    let promise;
+    const run = () => promise || (promise = fn(inputs));
+
+    const deferred = {
+      catch:  onRejected => run().catch(onRejected),
+      exec:   cb => typeof cb === 'function' ? run().then(output => cb(null, output), cb) : deferred.switch(cb),
+      switch: handlers => run().then(handlers.success, err => (handlers[err.exit] || handlers.error)(handlers[err.exit] ? err.raw : err)),
+      then:   (onFulfilled, onRejected) => run().then(onFulfilled, onRejected),
+    };
+    return deferred;
+  };
+}
+
+function exit(name, output) {
+  const err = new Error(`Exited via \`${name}\`${output && output.error ? `: ${output.error.message}` : ''}`);
+  err.exit = name;
+  err.raw  = output;
+  return err;
+}
+
+function requireConnection(connection, meta) {
+  if(!connection || typeof connection.query !== 'function' || typeof connection.release !== 'function') {
+    throw exit('badConnection', { meta });
+  }
+  return connection;
+}
+
+/**
+ * As machinepack-postgresql, recognise unique violations, e.g.
+ *
+ *   { identity:'notUnique', keys:[ 'email' ] }
+ *
+ * and describe any other error as { identity:'catchall' }.
+ */
+function parseNativeQueryError(err) {
+  const { footprint } = plimsoll.toAdapterError(err) || {};
+  return footprint && footprint.identity === 'notUnique' ? footprint : { identity:'catchall' };
+}
+
 function getPoolFrom({ pool, url, ...poolConfig }) {
   if(pool) return pool;
 
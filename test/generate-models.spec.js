@@ -0,0 +1,201 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { assert } = require('chai');
+
+const plimsoll = require('../src/plimsoll');
+const { generateModels, toModelSource, writeModels } = require('../src/generate-models');
+
+describe('generate-models', () => {
+  let pool;
+
+  before(async () => {
+    pool = require('./postgres-pool');
+  });
+
+  beforeEach(async () => {
+    await pool.query('DROP SCHEMA IF EXISTS public CASCADE');
+    await pool.query('CREATE SCHEMA public');
+
+    await pool.query(`CREATE TYPE mood AS ENUM ('happy', 'sad')`);
+    await pool.query(`CREATE TABLE legacy_teams ( team_id SERIAL PRIMARY KEY, team_title TEXT NOT NULL )`);
+    await pool.query(`
+      CREATE TABLE Member (
+        id         SERIAL PRIMARY KEY,
+        name       TEXT,
+        nickname   VARCHAR(20) NOT NULL DEFAULT 'it''s me',
+        age        INT DEFAULT 18,
+        active     BOOLEAN NOT NULL DEFAULT true,
+        prefs      JSONB NOT NULL DEFAULT '{"a":1}',
+        role       TEXT CHECK (role IN ('admin', 'user')),
+        mood       mood,
+        joined     TIMESTAMPTZ DEFAULT now(),
+        team       INT REFERENCES legacy_teams (team_id),
+        created_at BIGINT,
+        updated_at BIGINT
+      )
+    `);
+  });
+
+  describe('generateModels()', () => {
+    it('should generate a model definition for each table', async () => {
+      // when
+      const models = await generateModels(pool);
+
+      // then
+      assert.deepEqual(models, {
+        LegacyTeams: {
+          tableName:  'legacy_teams',
+          primaryKey: 'team_id',
+          attributes: {
+            team_id:    { type:'number', autoIncrement:true },
+            team_title: { type:'string', required:true },
+          },
+        },
+        Member: {
+          attributes: {
+            id:         { type:'number', autoIncrement:true },
+            name:       { type:'string', allowNull:true },
+            nickname:   { type:'string', defaultsTo:"it's me" },
+            age:        { type:'number', allowNull:true, defaultsTo:18 },
+            active:     { type:'boolean', defaultsTo:true },
+            prefs:      { type:'json', defaultsTo:{ a:1 } },
+            role:       { type:'string', allowNull:true, isIn:[ 'admin', 'user' ] },
+            mood:       { type:'string', allowNull:true, isIn:[ 'happy', 'sad' ] },
+            joined:     { type:'ref', columnType:'timestamp with time zone', autoGenerate:'database' },
+            team:       { model:'LegacyTeams' },
+            created_at: { type:'number', autoCreatedAt:true },
+            updated_at: { type:'number', autoUpdatedAt:true },
+          },
+        },
+      });
+    });
+
+    it('should introspect the supplied schemaName', async () => {
+      // given
+      await pool.query('DROP SCHEMA IF EXISTS my_schema CASCADE');
+      await pool.query('CREATE SCHEMA my_schema');
+      await pool.query('CREATE TABLE my_schema.Simple ( id SERIAL PRIMARY KEY, name TEXT )');
+
+      // when
+      const models = await generateModels(pool, { schemaName:'my_schema' });
+
+      // then
+      assert.deepEqual(models, {
+        Simple: {
+          attributes: {
+            id:   { type:'number', autoIncrement:true },
+            name: { type:'string', allowNull:true },
+          },
+        },
+      });
+    });
+
+    it('should generate models which plimsoll can use', async () => {
+      // given
+      const { models } = plimsoll(pool, await generateModels(pool));
+      const { LegacyTeams, Member } = models;
+
+      // when
+      const team   = await LegacyTeams.create({ team_title:'Blue' }).fetch();
+      const member = await Member.create({ team:team.team_id, mood:'happy' }).fetch();
+
+      // then
+      assert.deepInclude(member, { name:null, nickname:"it's me", age:18, active:true, prefs:{ a:1 }, mood:'happy', team:1 });
+      assert.deepEqual((await Member.findOne({ id:member.id }).populate('team')).team, { team_id:1, team_title:'Blue' });
+    });
+
+    it('should leave primary keys and columns with generated defaults to their defaults', async () => {
+      // given
+      await pool.query(`
+        CREATE TABLE Doc (
+          id      UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          title   TEXT NOT NULL,
+          digest  TEXT NOT NULL DEFAULT md5(random()::text),
+          version INT NOT NULL DEFAULT (floor(random() * 10) + 1),
+          created TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+      `);
+      const generated = await generateModels(pool);
+
+      // when
+      const datastore = plimsoll(pool, generated);
+      const doc = await datastore.models.Doc.create({ title:'t' }).fetch();
+
+      // then
+      assert.deepEqual(generated.Doc.attributes, {
+        id:      { type:'string', autoGenerate:'uuidv4' },
+        title:   { type:'string', required:true },
+        digest:  { type:'string', autoGenerate:'database' },
+        version: { type:'number', autoGenerate:'database' },
+        created: { type:'ref', columnType:'timestamp with time zone', autoGenerate:'database' },
+      });
+      assert.match(doc.id, /^[0-9a-f-]{36}$/);
+      assert.match(doc.digest, /^[0-9a-f]{32}$/);
+      assert.isAbove(doc.version, 0);
+      assert.instanceOf(doc.created, Date);
+      assert.deepEqual((await datastore.verifySchema()).filter(d => d.model === 'Doc'), []);
+    });
+
+    it('should generate models which match the schema', async () => {
+      // when
+      const diff = await plimsoll(pool, await generateModels(pool)).verifySchema();
+
+      // then
+      // json attributes may be set to null, which a NOT NULL column rejects.
+      assert.deepEqual(diff, [
+        { model:'Member', table:'member', problem:'nullability', attribute:'prefs', column:'prefs', expected:'NULL', actual:'NOT NULL' },
+      ]);
+    });
+  });
+
+  describe('toModelSource()', () => {
+    it('should generate a model module', () => {
+      // when
+      const source = toModelSource({
+        tableName: 'legacy_teams',
+        attributes: {
+          team_id: { type:'number', autoIncrement:true },
+          'odd name': { type:'string', isIn:[ 'a', "b'c" ], defaultsTo:'a' },
+        },
+      });
+
+      // then
+      assert.equal(source, [
+        'module.exports = {',
+        "  tableName: 'legacy_teams',",
+        '  attributes: {',
+        "    team_id: { type:'number', autoIncrement:true },",
+        "    'odd name': { type:'string', isIn:[ 'a', 'b\\'c' ], defaultsTo:'a' },",
+        '  },',
+        '};',
+        '',
+      ].join('\n'));
+    });
+  });
+
+  describe('writeModels()', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plimsoll-models-'));
+    });
+    afterEach(() => {
+      fs.readdirSync(dir).forEach(f => fs.unlinkSync(path.join(dir, f)));
+      fs.rmdirSync(dir);
+    });
+
+    it('should write a loadable module for each model, skipping existing files', async () => {
+      // given
+      fs.writeFileSync(path.join(dir, 'LegacyTeams.js'), 'module.exports = { hand_written:true };\n');
+
+      // when
+      const written = await writeModels(pool, dir);
+
+      // then
+      assert.deepEqual(written, [ path.join(dir, 'Member.js') ]);
+      assert.deepEqual(require(path.join(dir, 'Member.js')), (await generateModels(pool)).Member);
+      assert.deepEqual(require(path.join(dir, 'LegacyTeams.js')), { hand_written:true });
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const { assert } = require('chai');
+const pg = require('pg');
 
 const plimsoll = require('../src/plimsoll');
 
@@ -96,8 +97,9 @@ describe('plimsoll', () => {
         },
         Simple: {
           attributes: {
-            id:   { type:'number', autoIncrement:true },
-            name: { type:'string' },
+            id:            { type:'number', autoIncrement:true },
+            name:          { type:'string' },
+            relationships: { collection:'WithRelationship', via:'my_simple' },
           },
         },
         WithDefaults: {
@@ -279,663 +281,4647 @@ describe('plimsoll', () => {
         assert.deepEqual(checkpoints, [ '1a', '1b', '2a', '1c', '1d',
                                                     '2b', '2c', '2d' ]);
       });
-    });
 
-    describe('find()', () => {
-      it('should work without args', async () => {
-        // expect
-        assert.deepEqual(await Simple.find(), []);
-      });
+      describe('nested', () => {
+        const names = async () => (await Simple.find().sort('id')).map(({ name }) => name);
 
-      it('should treat an empty object as SELECTing whole table', async () => {
-        // expect
-        assert.deepEqual(await Simple.find({}), []);
-      });
+        it('should commit inner transactions with the outer transaction', async () => {
+          // when
+          await datastore.transaction(async tx => {
+            await Simple.create({ name:'outer' }).usingConnection(tx);
+            await datastore.transaction(tx => Simple.create({ name:'inner' }).usingConnection(tx), { connection:tx });
+          });
 
-      it('should return multiple rows', async () => {
-        // given
-        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+          // then
+          assert.deepEqual(await names(), [ 'outer', 'inner' ]);
+        });
 
-        // expect
-        assert.deepEqual(await Simple.find(), [ { id:1, name:'alice' }, { id:2, name:'bob' } ]);
-      });
+        it('should use the same connection for inner transactions', async () => {
+          // when
+          const [ outer, inner ] = await datastore.transaction(async tx => {
+            const { rows:[ { pid:outer } ] } = await datastore.sendNativeQuery('SELECT pg_backend_pid() AS pid').usingConnection(tx);
+            const { rows:[ { pid:inner } ] } = await datastore.transaction(tx => datastore.sendNativeQuery('SELECT pg_backend_pid() AS pid').usingConnection(tx), { connection:tx });
+            return [ outer, inner ];
+          });
 
-      describe('with comparators in criteria', () => {
-        it('should support !=', async () => {
-          // given
-          await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+          // then
+          assert.equal(inner, outer);
+        });
 
-          // expect
-          assert.deepEqual(await Simple.find({ name:{ '!=':'alice' } }), [ { id:2, name:'bob' } ]);
+        it('should not nest a transaction started without the outer connection', async () => {
+          // when
+          const [ outer, inner ] = await datastore.transaction(async tx => {
+            const { rows:[ { pid:outer } ] } = await datastore.sendNativeQuery('SELECT pg_backend_pid() AS pid').usingConnection(tx);
+            const { rows:[ { pid:inner } ] } = await datastore.transaction(tx => datastore.sendNativeQuery('SELECT pg_backend_pid() AS pid').usingConnection(tx));
+            return [ outer, inner ];
+          });
+
+          // then
+          assert.notEqual(inner, outer);
         });
 
-        it('should throw on unexpected comparators', async () => {
+        it('should roll back only the inner transaction if it fails', async () => {
+          // when
+          await datastore.transaction(async tx => {
+            await Simple.create({ name:'outer' }).usingConnection(tx);
+            try {
+              await datastore.transaction(async tx => {
+                await Simple.create({ name:'inner' }).usingConnection(tx);
+                await datastore.sendNativeQuery('SELECT * FROM no_such_table').usingConnection(tx);
+              }, { connection:tx });
+              assert.fail('should have thrown');
+            } catch(err) {
+              assert.equal(err.message, 'relation "no_such_table" does not exist');
+            }
+            await Simple.create({ name:'after' }).usingConnection(tx);
+          });
+
+          // then
+          assert.deepEqual(await names(), [ 'outer', 'after' ]);
+        });
+
+        it('should roll back inner transactions if the outer transaction fails', async () => {
+          // when
+          try {
+            await datastore.transaction(async tx => {
+              await datastore.transaction(tx => Simple.create({ name:'inner' }).usingConnection(tx), { connection:tx });
+              throw new Error('please rollback');
+            });
+            assert.fail('should have thrown');
+          } catch(err) {
+            assert.equal(err.message, 'please rollback');
+          }
+
+          // then
+          assert.deepEqual(await names(), []);
+        });
+
+        it('should support several levels of nesting', async () => {
+          // when
+          await datastore.transaction(async tx1 => {
+            await Simple.create({ name:'1' }).usingConnection(tx1);
+            await datastore.transaction(async tx2 => {
+              await Simple.create({ name:'2' }).usingConnection(tx2);
+              await datastore.transaction(async tx3 => {
+                await Simple.create({ name:'3' }).usingConnection(tx3);
+                throw new Error('please rollback 3');
+              }, { connection:tx2 }).catch(() => {});
+              await datastore.transaction(tx3 => Simple.create({ name:'3b' }).usingConnection(tx3), { connection:tx2 });
+            }, { connection:tx1 });
+          });
+
+          // then
+          assert.deepEqual(await names(), [ '1', '2', '3b' ]);
+        });
+
+        it('should nest compound queries in the transaction', async () => {
+          // when
+          try {
+            await datastore.transaction(async tx => {
+              await Simple.findOrCreate({ name:'alice' }, { name:'alice' }).usingConnection(tx);
+              throw new Error('please rollback');
+            });
+            assert.fail('should have thrown');
+          } catch(err) {
+            assert.equal(err.message, 'please rollback');
+          }
+
+          // then
+          assert.deepEqual(await names(), []);
+        });
+
+        it('should refuse to set transaction modes for a nested transaction', async () => {
           try {
             // when
-            await Simple.find({ name:{ '!?':'alice' } })
+            await datastore.transaction(tx => datastore.transaction(() => {}, { connection:tx, readOnly:true }));
             assert.fail('should have thrown');
-          } catch(e) {
+          } catch(err) {
             // then
-            assert.equal(e.message, 'Unrecognised op in criteria: !?');
+            assert.equal(err.message, 'Cannot set isolationLevel, readOnly, deferrable or retries for a nested transaction.');
           }
         });
       });
 
-      describe('with sort()', () => {
-        beforeEach(async () => {
-          // given
-          await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('charlie'), ('bob')`);
+      describe('with transaction modes', () => {
+        const show = async (tx, setting) => {
+          const { rows } = await datastore.sendNativeQuery(`SHOW ${setting}`).usingConnection(tx);
+          return rows[0][setting];
+        };
+
+        it('should default to the database defaults', async () => {
+          // expect
+          assert.deepEqual(await datastore.transaction(async tx => [
+            await show(tx, 'transaction_isolation'),
+            await show(tx, 'transaction_read_only'),
+            await show(tx, 'transaction_deferrable'),
+          ]), [ 'read committed', 'off', 'off' ]);
         });
 
-        describe('for full list', () => {
-          it('should sort by id, ASC (by default)', async () => {
+        [ 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE', 'serializable' ].forEach(isolationLevel => {
+          it(`should support isolationLevel: ${isolationLevel}`, async () => {
             // expect
-            assert.deepEqual(await Simple.find().sort('id'), [ { id:1, name:'alice' }, { id:2, name:'charlie' }, { id:3, name:'bob' } ]);
+            assert.equal(await datastore.transaction(tx => show(tx, 'transaction_isolation'), { isolationLevel }),
+                isolationLevel.toLowerCase());
           });
+        });
 
-          it('should sort by id, ASC', async () => {
-            // expect
-            assert.deepEqual(await Simple.find().sort('id ASC'), [ { id:1, name:'alice' }, { id:2, name:'charlie' }, { id:3, name:'bob' } ]);
-          });
+        it('should support readOnly and deferrable', async () => {
+          // expect
+          assert.deepEqual(await datastore.transaction(async tx => [
+            await show(tx, 'transaction_read_only'),
+            await show(tx, 'transaction_deferrable'),
+          ], { isolationLevel:'SERIALIZABLE', readOnly:true, deferrable:true }), [ 'on', 'on' ]);
+        });
 
-          it('should sort by id, DESC', async () => {
-            // expect
-            assert.deepEqual(await Simple.find().sort('id DESC'), [ { id:3, name:'bob' }, { id:2, name:'charlie' }, { id:1, name:'alice' } ]);
-          });
+        it('should reject writes in a readOnly transaction', async () => {
+          try {
+            // when
+            await datastore.transaction(tx => Simple.create({ name:'alice' }).usingConnection(tx), { readOnly:true });
+            assert.fail('should have thrown');
+          } catch(err) {
+            // then
+            assert.equal(err.message, 'cannot execute INSERT in a read-only transaction');
+          }
+        });
 
-          it('should sort by name, ASC (by default)', async () => {
-            // expect
-            assert.deepEqual(await Simple.find().sort('name'), [ { id:1, name:'alice' }, { id:3, name:'bob' }, { id:2, name:'charlie' } ]);
-          });
+        it('should throw for an unsupported isolationLevel', async () => {
+          try {
+            // when
+            await datastore.transaction(() => {}, { isolationLevel:'READ SOMETIMES' });
+            assert.fail('should have thrown');
+          } catch(err) {
+            // then
+            assert.equal(err.message, "Unsupported isolationLevel: 'READ SOMETIMES'");
+          }
+        });
+      });
 
-          it('should sort by name, ASC', async () => {
-            // expect
-            assert.deepEqual(await Simple.find().sort('name ASC'), [ { id:1, name:'alice' }, { id:3, name:'bob' }, { id:2, name:'charlie' } ]);
-          });
+      describe('with retries', () => {
+        const transientError = code => Object.assign(new Error(`transient ${code}`), { code });
 
-          it('should sort by name, DESC', async () => {
-            // expect
-            assert.deepEqual(await Simple.find().sort('name DESC'), [ { id:2, name:'charlie' }, { id:3, name:'bob' }, { id:1, name:'alice' } ]);
-          });
+        [ '40001', '40P01' ].forEach(code => {
+          it(`should retry on ${code}`, async () => {
+            // given
+            let attempts = 0;
 
-          it('should ignore extra spaces in the sort() string', async () => {
-            // expect
-            assert.deepEqual(await Simple.find().sort(' name     DESC '), [ { id:2, name:'charlie' }, { id:3, name:'bob' }, { id:1, name:'alice' } ]);
-          });
+            // when
+            const ret = await datastore.transaction(async () => {
+              if(++attempts < 3) throw transientError(code);
+              return 'done';
+            }, { retries:3, backoff:() => 0 });
 
-          it('should throw an error for a nonsensical direction', async () => {
-            try {
-              // when
-              await Simple.find().sort('name FLAT');
-              assert.fail('should have thrown');
-            } catch(e) {
-              // then
-              assert.equal(e.message, 'Unexpected direction provided in ORDER BY clause: "FLAT"');
-            }
+            // then
+            assert.equal(ret, 'done');
+            assert.equal(attempts, 3);
           });
         });
-      });
 
-      describe('with limit()', () => {
-        beforeEach(async () => {
+        it('should roll back before retrying', async () => {
           // given
-          await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('charlie'), ('bob')`);
-        });
+          let attempts = 0;
 
-        it('should return expected result for LIMIT 0', async () => {
-          // expect
-          assert.deepEqual(await Simple.find().limit(0), []);
+          // when
+          await datastore.transaction(async tx => {
+            await Simple.create({ name:`attempt-${++attempts}` }).usingConnection(tx);
+            if(attempts === 1) throw transientError('40001');
+          }, { retries:1, backoff:() => 0 });
+
+          // then
+          assert.deepEqual((await Simple.find()).map(({ name }) => name), [ 'attempt-2' ]);
         });
 
-        it('should return expected result for LIMIT 1', async () => {
-          // expect
-          assert.deepEqual(await Simple.find().limit(1), [ { id:1, name:'alice' } ]);
+        it('should retry real serialization failures', async () => {
+          // given
+          const attempts = { a:0, b:0 };
+          const run = (name, other) => datastore.transaction(async tx => {
+            ++attempts[name];
+            const { rows } = await datastore.sendNativeQuery('SELECT COUNT(*)::int AS n FROM Simple').usingConnection(tx);
+            checkpoints.push(name);
+            await waitForCheckpoint(other);
+            await Simple.create({ name:`${name}-saw-${rows[0].n}` }).usingConnection(tx);
+          }, { isolationLevel:'SERIALIZABLE', retries:2, backoff:() => 0 });
+
+          // when
+          await Promise.all([ run('a', 'b'), run('b', 'a') ]);
+
+          // then
+          assert.equal(attempts.a + attempts.b, 3);
+          const seen = (await Simple.find()).map(({ name }) => name.slice(-5)).sort();
+          assert.deepEqual(seen, [ 'saw-0', 'saw-1' ]);
         });
 
-        it('should return expected result for LIMIT 2', async () => {
-          // expect
-          assert.deepEqual(await Simple.find().limit(2), [ { id:1, name:'alice' }, { id:2, name:'charlie' } ]);
+        it('should wait with the supplied backoff for each retry', async () => {
+          // given
+          const backoffs = [];
+
+          // when
+          await datastore.transaction(async () => {
+            if(backoffs.length < 2) throw transientError('40001');
+          }, { retries:2, backoff:attempt => { backoffs.push(attempt); return 1; } });
+
+          // then
+          assert.deepEqual(backoffs, [ 1, 2 ]);
         });
 
-        it('should return expected result for LIMIT 3', async () => {
-          // expect
-          assert.deepEqual(await Simple.find().limit(3), [ { id:1, name:'alice' }, { id:2, name:'charlie' }, { id:3, name:'bob' } ]);
+        it('should throw the final error with the attempt count when retries run out', async () => {
+          // given
+          let attempts = 0;
+
+          try {
+            // when
+            await datastore.transaction(async () => {
+              throw Object.assign(new Error(`attempt ${++attempts}`), { code:'40001' });
+            }, { retries:2, backoff:1 });
+            assert.fail('should have thrown');
+          } catch(err) {
+            // then
+            assert.equal(err.message, 'attempt 3');
+            assert.equal(err.attempts, 3);
+            assert.equal(attempts, 3);
+          }
         });
 
-        it('should work if limit is greater than rows returned', async () => {
-          // expect
-          assert.deepEqual(await Simple.find().limit(4), [ { id:1, name:'alice' }, { id:2, name:'charlie' }, { id:3, name:'bob' } ]);
+        it('should never retry other errors', async () => {
+          // given
+          let attempts = 0;
+
+          try {
+            // when
+            await datastore.transaction(async tx => {
+              ++attempts;
+              await datastore.sendNativeQuery('SELECT * FROM no_such_table').usingConnection(tx);
+            }, { retries:3, backoff:() => 0 });
+            assert.fail('should have thrown');
+          } catch(err) {
+            // then
+            assert.equal(err.message, 'relation "no_such_table" does not exist');
+            assert.isUndefined(err.attempts);
+            assert.equal(attempts, 1);
+          }
         });
 
-        it('should not work for an unsafely-large integer', async () => {
+        it('should not retry without retries', async () => {
+          // given
+          let attempts = 0;
+
           try {
             // when
-            await Simple.find().limit(Number.MAX_SAFE_INTEGER + 1);
+            await datastore.transaction(async () => {
+              ++attempts;
+              throw transientError('40001');
+            });
             assert.fail('should have thrown');
-          } catch(e) {
+          } catch(err) {
             // then
-            assert.equal(e.message, 'Limit must be an integer.');
+            assert.equal(err.code, '40001');
+            assert.isUndefined(err.attempts);
+            assert.equal(attempts, 1);
           }
         });
       });
 
-      describe('with sort() and limit()', () => {
-        beforeEach(async () => {
-          // given
-          await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('charlie'), ('bob')`);
+      describe('with ambientTransactions', () => {
+        let ambient;
+        const names = async () => (await Simple.find().sort('id')).map(({ name }) => name);
+        const pid = async connection => {
+          const query = ambient.sendNativeQuery('SELECT pg_backend_pid() AS pid');
+          const { rows } = await (connection ? query.usingConnection(connection) : query);
+          return rows[0].pid;
+        };
+
+        before(function() {
+          if(!require('async_hooks').AsyncLocalStorage) this.skip(); // Node.js < 12.17
         });
 
-        describe('for full list', () => {
-          it('should sort by id, ASC (by default)', async () => {
-            // expect
-            assert.deepEqual(await Simple.find().sort('id').limit(2), [ { id:1, name:'alice' }, { id:2, name:'charlie' } ]);
-          });
+        beforeEach(() => {
+          ambient = plimsoll(pool, { Simple:{ attributes:{ id:{ type:'number' }, name:{ type:'string' } } } }, {}, { ambientTransactions:true });
+        });
 
-          it('should sort by id, ASC', async () => {
-            // expect
-            assert.deepEqual(await Simple.find().sort('id ASC').limit(2), [ { id:1, name:'alice' }, { id:2, name:'charlie' } ]);
-          });
+        it('should run queries on the transaction connection without usingConnection()', async () => {
+          // when
+          const [ txPid, queryPid ] = await ambient.transaction(async tx => [ await pid(tx), await pid() ]);
 
-          it('should sort by id, DESC', async () => {
-            // expect
-            assert.deepEqual(await Simple.find().sort('id DESC').limit(2), [ { id:3, name:'bob' }, { id:2, name:'charlie' } ]);
-          });
+          // then
+          assert.equal(queryPid, txPid);
+        });
 
-          it('should sort by name, ASC (by default)', async () => {
-            // expect
-            assert.deepEqual(await Simple.find().sort('name').limit(2), [ { id:1, name:'alice' }, { id:3, name:'bob' } ]);
-          });
+        it('should roll back model queries run without usingConnection()', async () => {
+          try {
+            // when
+            await ambient.transaction(async () => {
+              await ambient.models.Simple.create({ name:'alice' });
+              await ambient.models.Simple.findOrCreate({ name:'bob' }, { name:'bob' });
+              assert.deepEqual((await ambient.models.Simple.find()).map(({ name }) => name), [ 'alice', 'bob' ]);
+              throw new Error('please rollback');
+            });
+            assert.fail('should have thrown');
+          } catch(err) {
+            assert.equal(err.message, 'please rollback');
+          }
 
-          it('should sort by name, ASC', async () => {
-            // expect
-            assert.deepEqual(await Simple.find().sort('name ASC').limit(2), [ { id:1, name:'alice' }, { id:3, name:'bob' } ]);
-          });
+          // then
+          assert.deepEqual(await names(), []);
+        });
 
-          it('should sort by name, DESC', async () => {
-            // expect
-            assert.deepEqual(await Simple.find().sort('name DESC').limit(2), [ { id:2, name:'charlie' }, { id:3, name:'bob' } ]);
-          });
+        it('should run a query returned by the callback on the transaction connection', async () => {
+          try {
+            // when
+            await ambient.transaction(() => ambient.models.Simple.create({ name:'alice' }), { readOnly:true });
+            assert.fail('should have thrown');
+          } catch(err) {
+            // then
+            assert.equal(err.message, 'cannot execute INSERT in a read-only transaction');
+          }
         });
-      });
 
-      it('should support model relationships without populate()', async () => {
-        // given
-        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
-        await dbQuery(`INSERT INTO WithRelationship (name, my_simple) VALUES ('alice_owner', 1), ('bob_owner', 2), ('owns_nothing', NULL)`);
+        it('should prefer an explicit usingConnection()', async () => {
+          // given
+          const other = await pool.connect();
 
-        // expect
-        assert.deepEqual(await Simple.find(), [ { id:1, name:'alice' }, { id:2, name:'bob' } ]);
-        assert.deepEqual(await WithRelationship.find(),
-            [
-              { id:1, name:'alice_owner',  my_simple:1 },
-              { id:2, name:'bob_owner',    my_simple:2 },
-              { id:3, name:'owns_nothing', my_simple:null },
-            ]);
-      });
-
-      it('should support model relationships with populate()', async () => {
-        // given
-        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
-        await dbQuery(`INSERT INTO WithRelationship (name, my_simple) VALUES ('alice_owner', 1), ('bob_owner', 2), ('owns_nothing', NULL)`);
-
-        // expect
-        assert.deepEqual(await Simple.find(), [ { id:1, name:'alice' }, { id:2, name:'bob' } ]);
-        assert.deepEqual(await WithRelationship.find().populate('my_simple'),
-            [
-              { id:1, name:'alice_owner',  my_simple:{ id:1, name:'alice' } },
-              { id:2, name:'bob_owner',    my_simple:{ id:2, name:'bob'   } },
-              { id:3, name:'owns_nothing', my_simple:undefined },
-            ]);
-      });
-    });
+          try {
+            // when
+            const [ txPid, otherPid ] = await ambient.transaction(async () => [ await pid(), await pid(other) ]);
 
-    describe('findOne()', () => {
-      beforeEach(async () => {
-        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob'), ('bob')`);
-      });
+            // then
+            assert.notEqual(otherPid, txPid);
+            assert.equal(otherPid, await pid(other));
+          } finally {
+            other.release();
+          }
+        });
 
-      it('should return undefined if no match', async () => {
-        // expect
-        assert.isUndefined(await Simple.findOne({ name:'charlie' }));
-      });
+        it('should nest transactions using the ambient connection', async () => {
+          // when
+          await ambient.transaction(async () => {
+            await ambient.models.Simple.create({ name:'outer' });
+            await ambient.transaction(async () => {
+              await ambient.models.Simple.create({ name:'inner' });
+              throw new Error('please rollback inner');
+            }).catch(() => {});
+          });
 
-      it('should return single match if there is one', async () => {
-        // expect
-        assert.deepEqual(await Simple.findOne({ name:'alice' }), { id:1, name:'alice' });
-      });
+          // then
+          assert.deepEqual(await names(), [ 'outer' ]);
+        });
 
-      it('should throw if more than one match', async () => {
-        // when
-        try {
-          await Simple.findOne();
-          throw 'unexpected';
-        } catch(err) {
-          assert.equal(err.code, 21000) // "more than one row returned by a subquery used as an expression"
-        }
-      });
+        it('should run queries on the pool inside withoutTransaction()', async () => {
+          try {
+            // when
+            await ambient.transaction(async tx => {
+              const [ txPid, escapedPid ] = [ await pid(tx), await ambient.withoutTransaction(() => pid()) ];
+              assert.notEqual(escapedPid, txPid);
+              await ambient.withoutTransaction(() => ambient.models.Simple.create({ name:'escaped' }));
+              throw new Error('please rollback');
+            });
+            assert.fail('should have thrown');
+          } catch(err) {
+            assert.equal(err.message, 'please rollback');
+          }
 
-      it('should support model relationships without populate()', async () => {
-        // given
-        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
-        await dbQuery(`INSERT INTO WithRelationship (name, my_simple) VALUES ('alice_owner', 1), ('bob_owner', 2), ('owns_nothing', NULL)`);
+          // then
+          assert.deepEqual(await names(), [ 'escaped' ]);
+        });
 
-        // expect
-        assert.deepEqual(await WithRelationship.findOne(1), { id:1, name:'alice_owner',   my_simple:1 });
-        assert.deepEqual(await WithRelationship.findOne(2), { id:2, name:'bob_owner',     my_simple:2 });
-        assert.deepEqual(await WithRelationship.findOne(3), { id:3, name:'owns_nothing',  my_simple:null });
-      });
+        it('should run queries on the pool once the transaction has completed', async () => {
+          // given
+          let stray;
 
-      it('should support model relationships with populate()', async () => {
-        // given
-        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
-        await dbQuery(`INSERT INTO WithRelationship (name, my_simple) VALUES ('alice_owner', 1), ('bob_owner', 2), ('owns_nothing', NULL)`);
+          // when
+          await ambient.transaction(async () => {
+            stray = new Promise(resolve => setTimeout(() => resolve(ambient.models.Simple.create({ name:'stray' })), 20));
+          });
+          await stray;
 
-        // expect
-        assert.deepEqual(await WithRelationship.findOne(1).populate('my_simple'), { id:1, name:'alice_owner',   my_simple:{ id:1, name:'alice' } });
-        assert.deepEqual(await WithRelationship.findOne(2).populate('my_simple'), { id:2, name:'bob_owner',     my_simple:{ id:2, name:'bob'   } });
-        assert.deepEqual(await WithRelationship.findOne(3).populate('my_simple'), { id:3, name:'owns_nothing',  my_simple:undefined });
-      });
-    });
+          // then
+          assert.deepEqual(await names(), [ 'stray' ]);
+        });
 
-    describe('create()', () => {
-      describe('for a Simple entity', () => {
-        it('should create an instance', async () => {
+        it('should not affect other datastores', async () => {
           // when
-          await Simple.create({ name:'alice' });
+          await ambient.transaction(async () => {
+            await Simple.create({ name:'alice' });
+            throw new Error('please rollback');
+          }).catch(() => {});
 
           // then
-          const { rows } = await dbQuery('SELECT * FROM Simple');
-          assert.deepEqual(rows, [ { id:1, name:'alice' } ]);
+          assert.deepEqual(await names(), [ 'alice' ]);
         });
 
-        it('should return instance if requested', async () => {
+        it('should not be enabled by default', async () => {
           // when
-          const fetched = await Simple.create({ name:'alice' }).fetch();
+          await datastore.transaction(async () => {
+            await Simple.create({ name:'alice' });
+            throw new Error('please rollback');
+          }).catch(() => {});
 
           // then
-          assert.deepEqual(fetched, { id:1, name:'alice' });
+          assert.deepEqual(await names(), [ 'alice' ]);
         });
+      });
 
-        it('should support transactions', () => {
+      describe('usingConnection()', () => {
+        it('should run the transaction on the supplied connection', async () => {
           // when
-          const insert = Simple.create({ name:'alice' });
+          await datastore.leaseConnection(async db => {
+            await datastore.transaction(async tx => {
+              assert.equal(tx, db);
+              await Simple.create({ name:'alice' }).usingConnection(tx);
+            }).usingConnection(db);
+          });
 
           // then
-          assert.isFunction(insert.usingConnection);
+          assert.deepEqual((await Simple.find()).map(({ name }) => name), [ 'alice' ]);
         });
-      });
 
-      describe('for an Audited entity', () => {
-        it('should set auto-timestamped rows', async () => {
+        it('should nest a transaction on a connection already in a transaction', async () => {
           // when
-          await Audited.create({ name:'alice' });
+          await datastore.transaction(async tx => {
+            await Simple.create({ name:'outer' }).usingConnection(tx);
+            await datastore.transaction(async tx => {
+              await Simple.create({ name:'inner' }).usingConnection(tx);
+              throw new Error('please rollback inner');
+            }).usingConnection(tx).catch(() => {});
+          });
 
           // then
-          const { rows } = await dbQuery('SELECT * FROM Audited');
-          assert.equal(rows.length, 1);
+          assert.deepEqual((await Simple.find()).map(({ name }) => name), [ 'outer' ]);
+        });
 
-          assert.deepInclude(rows[0], { id:1, name:'alice' });
-          assertNumericFieldsEqual(rows[0], 'created_at', 'inserted_at', 'updated_at', '_set_at');
+        it('should refuse a connection from another datastore', async () => {
+          // given
+          const other = plimsoll(pool, {});
+
+          // expect
+          await other.transaction(tx => {
+            assert.throws(() => datastore.transaction(() => {}).usingConnection(tx),
+                'Cannot use a connection from a different datastore: transactions cannot span datastores.');
+          });
         });
-      });
 
-      describe('with global auto-created and auto-updated properties configured', () => {
-        it('should set auto-timestamped rows', async () => {
+        it('should refuse a connection once the transaction has started', async () => {
           // given
-          const { models } = plimsoll( pool, { Simple }, { created_timestamp:{ type:'number', autoCreatedAt:true } });
-          Simple = models.Simple;
+          const tx = datastore.transaction(() => {});
+          await tx;
 
-          await dbQuery('ALTER TABLE Simple ADD COLUMN created_timestamp BIGINT');
+          // expect
+          await datastore.leaseConnection(db => {
+            assert.throws(() => tx.usingConnection(db), 'usingConnection() must be called before the transaction is started.');
+          });
+        });
+      });
+
+      describe('as a promise', () => {
+        it('should only run fn once, however many times it is awaited', async () => {
+          // given
+          let runs = 0;
+          const tx = datastore.transaction(async () => ++runs);
 
           // when
-          await Simple.create({ name:'alice' });
+          const results = [ await tx, await tx ];
 
           // then
-          const { rows } = await dbQuery('SELECT * FROM Simple');
-          assert.equal(rows.length, 1);
-          assert.deepInclude(rows[0], { id:1, name:'alice' });
-          assertNumericFieldsEqual(rows[0], 'created_timestamp');
+          assert.deepEqual(results, [ 1, 1 ]);
+          assert.equal(runs, 1);
         });
-      });
 
-      describe('for a restricted value', () => {
-        it('should accept a valid value', async () => {
-          await Restricted.create({ category:'A' });
+        it('should support finally()', async () => {
+          // given
+          let finished = false;
+
+          // when
+          const result = await datastore.transaction(async () => 'done').finally(() => { finished = true; });
+
+          // then
+          assert.equal(result, 'done');
+          assert.isTrue(finished);
         });
 
-        it('should reject an invalid value', async () => {
-          try {
-            // when
-            await Restricted.create({ category:'Z' });
-            assert.fail('Should have thrown');
-          } catch(err) {
-            // then
-            assert.equal(err.message, 'supplied value is not allowed'); // TODO make this error message more like the one from waterline(?), or at least include some detail
-          }
+        it('should support catch()', async () => {
+          // when
+          const result = await datastore.transaction(async () => { throw new Error('failed'); }).catch(err => err.message);
+
+          // then
+          assert.equal(result, 'failed');
         });
       });
 
-      describe('for a json column', () => {
-        [
-          1,
-          'a',
-          [1, 'a', 2, 'b'],
-          { a:1, b:2 },
-        ].forEach(value => {
-          it(`should handle value of ${JSON.stringify(value)}`, async () => {
-            // when
-            await WithJsonbColumn.create({ json_column:value });
+      describe('with another datastore', () => {
+        let other;
+        beforeEach(() => {
+          other = plimsoll(pool, { Simple:{ attributes:{ id:{ type:'number' }, name:{ type:'string' } } } });
+        });
 
-            // then
-            assert.deepEqual(await WithJsonbColumn.find(), [{ id:1, json_column:value }]);
+        [
+          [ 'sendNativeQuery()',        tx => other.sendNativeQuery('SELECT 1').usingConnection(tx) ],
+          [ 'a model query',            tx => other.models.Simple.find().usingConnection(tx) ],
+          [ 'a compound model query',   tx => other.models.Simple.findOrCreate({ name:'a' }, { name:'a' }).usingConnection(tx) ],
+        ].forEach(([ description, query ]) => {
+          it(`should refuse to run ${description} in the transaction`, async () => {
+            try {
+              // when
+              await datastore.transaction(query);
+              assert.fail('should have thrown');
+            } catch(err) {
+              // then
+              assert.equal(err.message, 'Cannot use a connection from a different datastore: transactions cannot span datastores.');
+            }
           });
         });
-      });
-    });
 
-    describe('createEach()', () => {
-      describe('for an empty list', () => {
-        it('should not throw', async () => {
+        it('should allow its own queries in its own transactions', async () => {
           // expect
-          await Simple.createEach([]);
+          assert.deepEqual(await other.transaction(tx => other.models.Simple.find().usingConnection(tx)), []);
         });
+      });
+    });
 
-        it('should return a thennable', async () => {
-          // given
-          const creator = Simple.createEach([]);
+    describe('leaseConnection()', () => {
+      const pid = async db => {
+        const { rows } = await datastore.sendNativeQuery('SELECT pg_backend_pid() AS pid').usingConnection(db);
+        return rows[0].pid;
+      };
 
-          // expect
-          assert.isFunction(creator.then);
-        });
+      it('should only run fn once, however many times it is awaited', async () => {
+        // given
+        let runs = 0;
+        const lease = datastore.leaseConnection(async () => ++runs);
 
-        [
-          'fetch',
-          'intercept',
-          'limit',
-          'meta',
-          'populate',
-          'sort',
-          'usingConnection',
-        ].forEach(fnName => {
-          // This test is a bit ugly, because it relies on details of the current
-          // implementation.  Mainly to improve code metrics o_O
-          it(`should return no-op function '${fnName}()'`, () => {
-            // given
-            const ret = Simple.createEach([]);
-            const fn = ret[fnName];
+        // when
+        const results = [ await lease, await lease ];
 
-            // expect
-            assert.isFunction(fn);
-            assert.equal(fn(), ret);
-          });
-        });
+        // then
+        assert.deepEqual(results, [ 1, 1 ]);
+        assert.equal(runs, 1);
+        assert.equal(await lease.finally(() => {}), 1);
       });
 
-      describe('for a Simple entity', () => {
-        it('should create multiple instances', async () => {
-          // when
-          await Simple.createEach([ { name:'alice' }, { name:'bob' } ]);
+      it('should run fn with a connection, and resolve with its result', async () => {
+        // when
+        const [ first, second ] = await datastore.leaseConnection(async db => [ await pid(db), await pid(db) ]);
 
+        // then
+        assert.isNumber(first);
+        assert.equal(second, first);
+      });
+
+      it('should return the connection to the pool', async () => {
+        // when
+        await datastore.leaseConnection(db => pid(db));
+
+        // then
+        assert.equal(pool.idleCount, pool.totalCount);
+      });
+
+      it('should return the connection to the pool if fn fails', async () => {
+        try {
+          // when
+          await datastore.leaseConnection(async () => { throw new Error('oops'); });
+          assert.fail('should have thrown');
+        } catch(err) {
           // then
-          const { rows } = await dbQuery('SELECT * FROM Simple');
-          assert.equal(rows.length, 2);
-          assert.deepEqual(rows, [ { id:1, name:'alice' }, { id:2, name:'bob' } ]);
+          assert.equal(err.message, 'oops');
+          assert.equal(pool.idleCount, pool.totalCount);
+        }
+      });
+
+      it('should refuse the connection for queries of another datastore', async () => {
+        // given
+        const other = plimsoll(pool, {});
+
+        // expect
+        await datastore.leaseConnection(db => {
+          assert.throws(() => other.sendNativeQuery('SELECT 1').usingConnection(db),
+              'Cannot use a connection from a different datastore: transactions cannot span datastores.');
         });
       });
 
-      describe('for an Audited entity', () => {
-        it('should set auto-timestamped rows', async () => {
-          // when
-          await Audited.createEach([ { name:'alice' }, { name:'bob' } ]);
+      it('should use the leased connection for queries and transactions with ambientTransactions', async function() {
+        if(!require('async_hooks').AsyncLocalStorage) this.skip(); // Node.js < 12.17
 
-          // then
-          const { rows } = await dbQuery('SELECT * FROM Audited');
-          assert.equal(rows.length, 2);
+        // given
+        const ambient = plimsoll(pool, { Simple:{ attributes:{ id:{ type:'number' }, name:{ type:'string' } } } }, {}, { ambientTransactions:true });
 
-          assert.deepInclude(rows[0], { id:1, name:'alice' });
-          assertNumericFieldsEqual(rows[0], 'created_at', 'inserted_at', 'updated_at', '_set_at');
+        const ambientPid = async () => (await ambient.sendNativeQuery('SELECT pg_backend_pid() AS pid')).rows[0].pid;
 
-          assert.deepInclude(rows[1], { id:2, name:'bob' });
-          assertNumericFieldsEqual(rows[1], 'created_at', 'inserted_at', 'updated_at', '_set_at');
+        // when
+        const [ leasedPid, queryPid, txPid ] = await ambient.leaseConnection(async db => [
+          (await ambient.sendNativeQuery('SELECT pg_backend_pid() AS pid').usingConnection(db)).rows[0].pid,
+          await ambientPid(),
+          await ambient.transaction(ambientPid),
+        ]);
 
-          // expect rows created in the same statement to have matching timestamps
-          assert.equal(rows[0].created_at,
-                       rows[1].created_at);
-        });
+        // then
+        assert.equal(queryPid, leasedPid);
+        assert.equal(txPid,    leasedPid);
       });
     });
 
-    describe('update()', () => {
-      describe('for an empty update object', () => {
-        it('should not throw', async () => {
-          // expect
-          await Simple.update(-1).set({});
-        });
+    describe('find()', () => {
+      it('should work without args', async () => {
+        // expect
+        assert.deepEqual(await Simple.find(), []);
+      });
+
+      it('should treat an empty object as SELECTing whole table', async () => {
+        // expect
+        assert.deepEqual(await Simple.find({}), []);
+      });
+
+      it('should return multiple rows', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+
+        // expect
+        assert.deepEqual(await Simple.find(), [ { id:1, name:'alice' }, { id:2, name:'bob' } ]);
+      });
+
+      describe('with comparators in criteria', () => {
+        it('should support !=', async () => {
+          // given
+          await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+
+          // expect
+          assert.deepEqual(await Simple.find({ name:{ '!=':'alice' } }), [ { id:2, name:'bob' } ]);
+        });
+
+        it('should support multiple modifiers for one attribute', async () => {
+          // given
+          await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob'), ('charlie'), ('dave')`);
+
+          // expect
+          assert.deepEqual(await Simple.find({ id:{ '>':1, '<':4 } }), [ { id:2, name:'bob' }, { id:3, name:'charlie' } ]);
+        });
+
+        it('should throw for an empty modifier object', async () => {
+          try {
+            // when
+            await Simple.find({ name:{} });
+            assert.fail('should have thrown');
+          } catch(e) {
+            // then
+            assert.equal(e.message, 'No modifiers supplied in criteria for: name');
+          }
+        });
+
+        describe('in & nin', () => {
+          beforeEach(async () => {
+            // given
+            await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob'), ('charlie')`);
+          });
+
+          it('should support in', async () => {
+            // expect
+            assert.deepEqual(await Simple.find({ name:{ in:[ 'alice', 'charlie' ] } }), [ { id:1, name:'alice' }, { id:3, name:'charlie' } ]);
+          });
+
+          it('should support nin', async () => {
+            // expect
+            assert.deepEqual(await Simple.find({ name:{ nin:[ 'alice', 'charlie' ] } }), [ { id:2, name:'bob' } ]);
+          });
+
+          it('should throw if in is not supplied an array', async () => {
+            try {
+              // when
+              await Simple.find({ name:{ in:'alice' } });
+              assert.fail('should have thrown');
+            } catch(e) {
+              // then
+              assert.equal(e.message, 'Expected an array for "in" in criteria, but got: "alice"');
+            }
+          });
+        });
+
+        describe('string matching', () => {
+          beforeEach(async () => {
+            // given
+            await dbQuery(`INSERT INTO Simple (name) VALUES ('Alice'), ('alicia'), ('bob'), ('100%'), ('1_0'), ('a\\b')`);
+          });
+
+          [
+            [ { contains:'lic' },     [ 'Alice', 'alicia' ] ],
+            [ { startsWith:'al' },    [ 'alicia' ] ],
+            [ { endsWith:'ce' },      [ 'Alice' ] ],
+            [ { like:'%o%' },         [ 'bob' ] ],
+            [ { like:'_lic%' },       [ 'Alice', 'alicia' ] ],
+            [ { contains:'%' },       [ '100%' ] ],
+            [ { endsWith:'0%' },      [ '100%' ] ],
+            [ { contains:'_' },       [ '1_0' ] ],
+            [ { startsWith:'1_' },    [ '1_0' ] ],
+            [ { contains:'\\' },      [ 'a\\b' ] ],
+          ].forEach(([ modifier, expected ]) => {
+            it(`should support ${JSON.stringify(modifier)}`, async () => {
+              // when
+              const matches = await Simple.find({ name:modifier }).sort('id');
+
+              // then
+              assert.deepEqual(matches.map(m => m.name), expected);
+            });
+          });
+
+          it('should match case-insensitively when requested in meta()', async () => {
+            // when
+            const matches = await Simple
+                .find({ name:{ startsWith:'AL' } })
+                .meta({ makeLikeModifierCaseInsensitive:true })
+                .sort('id');
+
+            // then
+            assert.deepEqual(matches.map(m => m.name), [ 'Alice', 'alicia' ]);
+          });
+
+          it('should match case-insensitively for update() when requested in meta()', async () => {
+            // when
+            await Simple
+                .update({ name:{ contains:'LIC' } })
+                .meta({ makeLikeModifierCaseInsensitive:true })
+                .set({ name:'x' });
+
+            // then
+            const { rows } = await dbQuery(`SELECT name FROM Simple WHERE name='x'`);
+            assert.equal(rows.length, 2);
+          });
+
+          it('should throw if contains is not supplied a string', async () => {
+            try {
+              // when
+              await Simple.find({ name:{ contains:1 } });
+              assert.fail('should have thrown');
+            } catch(e) {
+              // then
+              assert.equal(e.message, 'Expected a string for "contains" in criteria, but got: 1');
+            }
+          });
+        });
+
+        it('should throw on unexpected comparators', async () => {
+          try {
+            // when
+            await Simple.find({ name:{ '!?':'alice' } })
+            assert.fail('should have thrown');
+          } catch(e) {
+            // then
+            assert.equal(e.message, 'Unrecognised op in criteria: !?');
+          }
+        });
+      });
+
+      describe('with boolean groups in criteria', () => {
+        beforeEach(async () => {
+          // given
+          await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob'), ('charlie'), ('dave')`);
+        });
+
+        it('should support or', async () => {
+          // expect
+          assert.deepEqual(await Simple.find({ or:[ { name:'alice' }, { id:{ '>':3 } } ] }),
+              [ { id:1, name:'alice' }, { id:4, name:'dave' } ]);
+        });
+
+        it('should support and', async () => {
+          // expect
+          assert.deepEqual(await Simple.find({ and:[ { id:{ '>':1 } }, { id:{ '<':3 } } ] }),
+              [ { id:2, name:'bob' } ]);
+        });
+
+        it('should support not', async () => {
+          // expect
+          assert.deepEqual(await Simple.find({ not:{ name:[ 'alice', 'bob' ] } }),
+              [ { id:3, name:'charlie' }, { id:4, name:'dave' } ]);
+        });
+
+        it('should combine groups with sibling constraints', async () => {
+          // expect
+          assert.deepEqual(await Simple.find({ id:{ '>':1 }, or:[ { name:'alice' }, { name:'charlie' } ] }),
+              [ { id:3, name:'charlie' } ]);
+        });
+
+        it('should number parameters correctly in nested groups', async () => {
+          // expect
+          assert.deepEqual(await Simple.find({
+            name: { '!=':'dave' },
+            or: [
+              { and:[ { id:{ '>=':2 } }, { name:'bob' } ] },
+              { not:{ or:[ { name:'bob' }, { id:[ 2, 3 ] } ] } },
+            ],
+          }), [ { id:1, name:'alice' }, { id:2, name:'bob' } ]);
+        });
+
+        it('should match nothing for an empty or', async () => {
+          // expect
+          assert.deepEqual(await Simple.find({ or:[] }), []);
+        });
+
+        it('should throw for unrecognised properties inside groups', async () => {
+          for(const criteria of [
+            { or:[ { name:'bob', nonsense:1 }, { id:4 } ] },
+            { and:[ { nonsense:1 } ] },
+            { not:{ nonsense:1 } },
+          ]) {
+            try {
+              // when
+              await Simple.find(criteria);
+              assert.fail('should have thrown');
+            } catch(e) {
+              // then
+              assert.equal(e.message, 'Unrecognised attribute in criteria: nonsense');
+            }
+          }
+        });
+
+        it('should support groups in the { where } form', async () => {
+          // expect
+          assert.deepEqual(await Simple.find({ select:[ 'name' ], where:{ or:[ { id:1 }, { id:2 } ] } }),
+              [ { name:'alice' }, { name:'bob' } ]);
+        });
+
+        it('should throw if or is not an array', async () => {
+          try {
+            // when
+            await Simple.find({ or:{ name:'alice' } });
+            assert.fail('should have thrown');
+          } catch(e) {
+            // then
+            assert.equal(e.message, 'Expected an array for "or" in criteria, but got: {"name":"alice"}');
+          }
+        });
+      });
+
+      describe('with sort()', () => {
+        beforeEach(async () => {
+          // given
+          await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('charlie'), ('bob')`);
+        });
+
+        describe('for full list', () => {
+          it('should sort by id, ASC (by default)', async () => {
+            // expect
+            assert.deepEqual(await Simple.find().sort('id'), [ { id:1, name:'alice' }, { id:2, name:'charlie' }, { id:3, name:'bob' } ]);
+          });
+
+          it('should sort by id, ASC', async () => {
+            // expect
+            assert.deepEqual(await Simple.find().sort('id ASC'), [ { id:1, name:'alice' }, { id:2, name:'charlie' }, { id:3, name:'bob' } ]);
+          });
+
+          it('should sort by id, DESC', async () => {
+            // expect
+            assert.deepEqual(await Simple.find().sort('id DESC'), [ { id:3, name:'bob' }, { id:2, name:'charlie' }, { id:1, name:'alice' } ]);
+          });
+
+          it('should sort by name, ASC (by default)', async () => {
+            // expect
+            assert.deepEqual(await Simple.find().sort('name'), [ { id:1, name:'alice' }, { id:3, name:'bob' }, { id:2, name:'charlie' } ]);
+          });
+
+          it('should sort by name, ASC', async () => {
+            // expect
+            assert.deepEqual(await Simple.find().sort('name ASC'), [ { id:1, name:'alice' }, { id:3, name:'bob' }, { id:2, name:'charlie' } ]);
+          });
+
+          it('should sort by name, DESC', async () => {
+            // expect
+            assert.deepEqual(await Simple.find().sort('name DESC'), [ { id:2, name:'charlie' }, { id:3, name:'bob' }, { id:1, name:'alice' } ]);
+          });
+
+          it('should ignore extra spaces in the sort() string', async () => {
+            // expect
+            assert.deepEqual(await Simple.find().sort(' name     DESC '), [ { id:2, name:'charlie' }, { id:3, name:'bob' }, { id:1, name:'alice' } ]);
+          });
+
+          it('should throw an error for a nonsensical direction', async () => {
+            try {
+              // when
+              await Simple.find().sort('name FLAT');
+              assert.fail('should have thrown');
+            } catch(e) {
+              // then
+              assert.equal(e.message, 'Unexpected direction provided in ORDER BY clause: "FLAT"');
+            }
+          });
+        });
+
+        describe('by multiple keys', () => {
+          beforeEach(async () => {
+            // given
+            await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), (NULL)`);
+          });
+
+          const expected = [ { id:4, name:'alice' }, { id:1, name:'alice' }, { id:3, name:'bob' }, { id:2, name:'charlie' }, { id:5, name:'' } ];
+
+          [
+            [ 'a comma-separated string', 'name ASC, id DESC' ],
+            [ 'an object',                { name:'ASC', id:'DESC' } ],
+            [ 'an array of objects',      [ { name:'ASC' }, { id:'DESC' } ] ],
+            [ 'an array of strings',      [ 'name', 'id DESC' ] ],
+          ].forEach(([ description, sort ]) => {
+            it(`should sort by ${description}`, async () => {
+              // expect
+              assert.deepEqual(await Simple.find().sort(sort), expected);
+            });
+          });
+
+          it('should support sort in the { where } form', async () => {
+            // expect
+            assert.deepEqual(await Simple.find({ where:{}, sort:[ { name:'ASC' }, { id:'DESC' } ] }), expected);
+          });
+
+          it('should support NULLS FIRST', async () => {
+            // expect
+            assert.deepEqual((await Simple.find().sort('name nulls first, id')).map(({ id }) => id), [ 5, 1, 4, 3, 2 ]);
+          });
+
+          it('should support NULLS LAST with a direction', async () => {
+            // expect
+            assert.deepEqual((await Simple.find().sort({ name:'DESC NULLS LAST' })).map(({ id }) => id), [ 2, 3, 4, 1, 5 ]);
+          });
+
+          it('should throw an error for unrecognised NULLS ordering', async () => {
+            try {
+              // when
+              await Simple.find().sort('name ASC NULLS MIDDLE');
+              assert.fail('should have thrown');
+            } catch(e) {
+              // then
+              assert.equal(e.message, 'Unexpected extras in ORDER BY clause: "name ASC NULLS MIDDLE"');
+            }
+          });
+        });
+
+        it('should throw an error for an unrecognised attribute', async () => {
+          try {
+            // when
+            await Simple.find().sort('id, "name";DROP');
+            assert.fail('should have thrown');
+          } catch(e) {
+            // then
+            assert.equal(e.message, 'Unrecognised attribute for model Simple: "name";DROP');
+          }
+
+          try {
+            // when
+            await Simple.find().sort({ nom:'ASC' });
+            assert.fail('should have thrown');
+          } catch(e) {
+            // then
+            assert.equal(e.message, 'Unrecognised attribute for model Simple: nom');
+          }
+        });
+
+        it('should throw an error for a path within a non-json attribute', async () => {
+          try {
+            // when
+            await Simple.find().sort('name.first');
+            assert.fail('should have thrown');
+          } catch(e) {
+            // then
+            assert.equal(e.message, 'Cannot sort by path within non-json attribute for model Simple: name.first');
+          }
+        });
+
+        describe('for a model without an id column', () => {
+          let KeyValue;
+
+          beforeEach(async () => {
+            // given
+            await dbQuery(`CREATE TABLE KeyValue ( key TEXT, value TEXT )`);
+            await dbQuery(`INSERT INTO KeyValue (key, value) VALUES ('b', '2'), ('a', '1')`);
+
+            ({ KeyValue } = plimsoll(pool, {
+              KeyValue: {
+                attributes: {
+                  key:   { type:'string' },
+                  value: { type:'string' },
+                },
+              },
+            }).models);
+          });
+
+          it('should sort without breaking ties by id', async () => {
+            // expect
+            assert.deepEqual(await KeyValue.find().sort('key'), [ { key:'a', value:'1' }, { key:'b', value:'2' } ]);
+          });
+
+          it('should not support after()', async () => {
+            try {
+              // when
+              await KeyValue.find().sort('key').after({ key:'a' });
+              assert.fail('should have thrown');
+            } catch(e) {
+              // then
+              assert.equal(e.message, 'after() requires a primary key column for model KeyValue: id');
+            }
+          });
+        });
+      });
+
+      describe('with sort() by json path', () => {
+        beforeEach(async () => {
+          // given
+          await WithJsonbColumn.createEach([
+            { json_column:{ address:{ city:'Nairobi' }, rank:10 } },
+            { json_column:{ address:{ city:'Accra' },   rank:9 } },
+            { json_column:{ address:{ city:'Lagos' },   rank:100 } },
+            { json_column:{} },
+          ]);
+        });
+
+        it('should sort by a nested string', async () => {
+          // expect
+          assert.deepEqual((await WithJsonbColumn.find().sort('json_column.address.city')).map(({ id }) => id), [ 2, 3, 1, 4 ]);
+        });
+
+        it('should sort numbers numerically', async () => {
+          // expect
+          assert.deepEqual((await WithJsonbColumn.find().sort({ 'json_column.rank':'DESC NULLS LAST' })).map(({ id }) => id), [ 3, 1, 2, 4 ]);
+        });
+
+        it('should not support after()', async () => {
+          try {
+            // when
+            await WithJsonbColumn.find().sort('json_column.rank').after({ id:1 });
+            assert.fail('should have thrown');
+          } catch(e) {
+            // then
+            assert.equal(e.message, 'after() does not support sorting with NULLS FIRST/LAST or by json path: json_column');
+          }
+        });
+      });
+
+      describe('with limit()', () => {
+        beforeEach(async () => {
+          // given
+          await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('charlie'), ('bob')`);
+        });
+
+        it('should return expected result for LIMIT 0', async () => {
+          // expect
+          assert.deepEqual(await Simple.find().limit(0), []);
+        });
+
+        it('should return expected result for LIMIT 1', async () => {
+          // expect
+          assert.deepEqual(await Simple.find().limit(1), [ { id:1, name:'alice' } ]);
+        });
+
+        it('should return expected result for LIMIT 2', async () => {
+          // expect
+          assert.deepEqual(await Simple.find().limit(2), [ { id:1, name:'alice' }, { id:2, name:'charlie' } ]);
+        });
+
+        it('should return expected result for LIMIT 3', async () => {
+          // expect
+          assert.deepEqual(await Simple.find().limit(3), [ { id:1, name:'alice' }, { id:2, name:'charlie' }, { id:3, name:'bob' } ]);
+        });
+
+        it('should work if limit is greater than rows returned', async () => {
+          // expect
+          assert.deepEqual(await Simple.find().limit(4), [ { id:1, name:'alice' }, { id:2, name:'charlie' }, { id:3, name:'bob' } ]);
+        });
+
+        it('should not work for an unsafely-large integer', async () => {
+          try {
+            // when
+            await Simple.find().limit(Number.MAX_SAFE_INTEGER + 1);
+            assert.fail('should have thrown');
+          } catch(e) {
+            // then
+            assert.equal(e.message, 'Limit must be an integer.');
+          }
+        });
+      });
+
+      describe('with sort() and limit()', () => {
+        beforeEach(async () => {
+          // given
+          await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('charlie'), ('bob')`);
+        });
+
+        describe('for full list', () => {
+          it('should sort by id, ASC (by default)', async () => {
+            // expect
+            assert.deepEqual(await Simple.find().sort('id').limit(2), [ { id:1, name:'alice' }, { id:2, name:'charlie' } ]);
+          });
+
+          it('should sort by id, ASC', async () => {
+            // expect
+            assert.deepEqual(await Simple.find().sort('id ASC').limit(2), [ { id:1, name:'alice' }, { id:2, name:'charlie' } ]);
+          });
+
+          it('should sort by id, DESC', async () => {
+            // expect
+            assert.deepEqual(await Simple.find().sort('id DESC').limit(2), [ { id:3, name:'bob' }, { id:2, name:'charlie' } ]);
+          });
+
+          it('should sort by name, ASC (by default)', async () => {
+            // expect
+            assert.deepEqual(await Simple.find().sort('name').limit(2), [ { id:1, name:'alice' }, { id:3, name:'bob' } ]);
+          });
+
+          it('should sort by name, ASC', async () => {
+            // expect
+            assert.deepEqual(await Simple.find().sort('name ASC').limit(2), [ { id:1, name:'alice' }, { id:3, name:'bob' } ]);
+          });
+
+          it('should sort by name, DESC', async () => {
+            // expect
+            assert.deepEqual(await Simple.find().sort('name DESC').limit(2), [ { id:2, name:'charlie' }, { id:3, name:'bob' } ]);
+          });
+        });
+      });
+
+      describe('with skip() and paginate()', () => {
+        beforeEach(async () => {
+          // given
+          await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob'), ('charlie'), ('dave'), ('eve')`);
+        });
+
+        it('should skip rows', async () => {
+          // expect
+          assert.deepEqual(await Simple.find().sort('id').skip(3), [ { id:4, name:'dave' }, { id:5, name:'eve' } ]);
+        });
+
+        it('should combine skip() with limit()', async () => {
+          // expect
+          assert.deepEqual(await Simple.find().sort('id DESC').skip(1).limit(2), [ { id:4, name:'dave' }, { id:3, name:'charlie' } ]);
+        });
+
+        it('should support skip in the { where } form', async () => {
+          // expect
+          assert.deepEqual(await Simple.find({ where:{ id:{ '>':1 } }, sort:'id', skip:1, limit:2 }), [ { id:3, name:'charlie' }, { id:4, name:'dave' } ]);
+        });
+
+        it('should paginate, with zero-based page numbers', async () => {
+          // expect
+          assert.deepEqual(await Simple.find().sort('id').paginate(0, 2), [ { id:1, name:'alice' }, { id:2, name:'bob' } ]);
+          assert.deepEqual(await Simple.find().sort('id').paginate(2, 2), [ { id:5, name:'eve' } ]);
+        });
+
+        it('should default to pages of 30', async () => {
+          // expect
+          assert.equal((await Simple.find().paginate(0)).length, 5);
+          assert.deepEqual(await Simple.find().paginate(1), []);
+        });
+
+        it('should reject a negative skip', () => {
+          try {
+            // when
+            Simple.find().skip(-1);
+            assert.fail('should have thrown');
+          } catch(e) {
+            // then
+            assert.equal(e.message, 'Skip must be a non-negative integer.');
+          }
+        });
+      });
+
+      describe('with after() for keyset pagination', () => {
+        beforeEach(async () => {
+          // given
+          await dbQuery(`INSERT INTO Simple (name) VALUES ('bob'), ('alice'), ('bob'), ('charlie'), ('alice')`);
+        });
+
+        async function allPages(query, pageSize) {
+          const pages = [];
+          let lastSeen;
+          do {
+            let q = query().limit(pageSize);
+            if(lastSeen) q = q.after(lastSeen);
+            const page = await q;
+            pages.push(page.map(({ id }) => id));
+            lastSeen = page[page.length - 1];
+          } while(lastSeen);
+          return pages;
+        }
+
+        it('should page by id by default', async () => {
+          // expect
+          assert.deepEqual(await allPages(() => Simple.find(), 2), [ [ 1, 2 ], [ 3, 4 ], [ 5 ], [] ]);
+        });
+
+        it('should page by a non-unique sort key, using id to break ties', async () => {
+          // expect
+          assert.deepEqual(await allPages(() => Simple.find().sort('name'), 2), [ [ 2, 5 ], [ 1, 3 ], [ 4 ], [] ]);
+        });
+
+        it('should page in descending order', async () => {
+          // expect
+          assert.deepEqual(await allPages(() => Simple.find().sort('name DESC'), 2), [ [ 4, 3 ], [ 1, 5 ], [ 2 ], [] ]);
+        });
+
+        it('should page after a partial record', async () => {
+          // when
+          const page = await Simple.find().sort('name DESC').after({ name:'bob', id:3 }).limit(10);
+
+          // then
+          assert.deepEqual(page.map(({ id }) => id), [ 1, 5, 2 ]);
+        });
+
+        it('should page when sort directions are mixed', async () => {
+          // expect
+          assert.deepEqual(await allPages(() => Simple.find().sort('name DESC, id ASC'), 2), [ [ 4, 1 ], [ 3, 2 ], [ 5 ], [] ]);
+        });
+
+        it('should combine with criteria', async () => {
+          // expect
+          assert.deepEqual(await Simple.find({ name:{ '!=':'charlie' } }).sort('name').after({ name:'alice', id:5 }),
+              [ { id:1, name:'bob' }, { id:3, name:'bob' } ]);
+        });
+
+        it('should require values for all sort keys', async () => {
+          try {
+            // when
+            await Simple.find().sort('name').after({ name:'bob' });
+            assert.fail('should have thrown');
+          } catch(e) {
+            // then
+            assert.equal(e.message, 'after() requires a value for sort key: id');
+          }
+        });
+      });
+
+      it('should support model relationships without populate()', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+        await dbQuery(`INSERT INTO WithRelationship (name, my_simple) VALUES ('alice_owner', 1), ('bob_owner', 2), ('owns_nothing', NULL)`);
+
+        // expect
+        assert.deepEqual(await Simple.find(), [ { id:1, name:'alice' }, { id:2, name:'bob' } ]);
+        assert.deepEqual(await WithRelationship.find(),
+            [
+              { id:1, name:'alice_owner',  my_simple:1 },
+              { id:2, name:'bob_owner',    my_simple:2 },
+              { id:3, name:'owns_nothing', my_simple:null },
+            ]);
+      });
+
+      it('should support model relationships with populate()', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+        await dbQuery(`INSERT INTO WithRelationship (name, my_simple) VALUES ('alice_owner', 1), ('bob_owner', 2), ('owns_nothing', NULL)`);
+
+        // expect
+        assert.deepEqual(await Simple.find(), [ { id:1, name:'alice' }, { id:2, name:'bob' } ]);
+        assert.deepEqual(await WithRelationship.find().populate('my_simple'),
+            [
+              { id:1, name:'alice_owner',  my_simple:{ id:1, name:'alice' } },
+              { id:2, name:'bob_owner',    my_simple:{ id:2, name:'bob'   } },
+              { id:3, name:'owns_nothing', my_simple:undefined },
+            ]);
+      });
+    });
+
+    describe('find() with collection populate()', () => {
+      beforeEach(async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob'), ('charlie')`);
+        await dbQuery(`INSERT INTO WithRelationship (name, my_simple) VALUES ('a1', 1), ('b1', 2), ('a2', 1), ('nobody', NULL)`);
+      });
+
+      it('should populate an array of child records for each parent', async () => {
+        // expect
+        assert.deepEqual(await Simple.find().populate('relationships'), [
+          { id:1, name:'alice',   relationships:[ { id:1, name:'a1', my_simple:1 }, { id:3, name:'a2', my_simple:1 } ] },
+          { id:2, name:'bob',     relationships:[ { id:2, name:'b1', my_simple:2 } ] },
+          { id:3, name:'charlie', relationships:[] },
+        ]);
+      });
+
+      it('should populate for findOne()', async () => {
+        // expect
+        assert.deepEqual(await Simple.findOne(2).populate('relationships'),
+            { id:2, name:'bob', relationships:[ { id:2, name:'b1', my_simple:2 } ] });
+      });
+
+      it('should not fail when populating for findOne() without a match', async () => {
+        // expect
+        assert.isUndefined(await Simple.findOne(99).populate('relationships'));
+      });
+
+      it('should populate using a single extra query', async () => {
+        // given
+        const queries = [];
+        const client = await pool.connect();
+        const query = client.query;
+        client.query = (...args) => { queries.push(args[0]); return query.apply(client, args); };
+
+        try {
+          // when
+          await Simple.find().populate('relationships').usingConnection(client);
+        } finally {
+          client.query = query;
+          client.release();
+        }
+
+        // then
+        assert.equal(queries.length, 2);
+      });
+
+      it('should throw for an attribute which is not an association', async () => {
+        try {
+          // when
+          await Simple.find().populate('name');
+          assert.fail('should have thrown');
+        } catch(e) {
+          // then
+          assert.equal(e.message, 'Cannot populate attribute which is not an association: name');
+        }
+      });
+
+      it('should not treat collection attributes as columns', async () => {
+        // when
+        await Simple.create({ name:'dave', relationships:[ 1 ] });
+        await Simple.update({ name:'dave' }).set({ relationships:[] });
+
+        // then
+        assert.deepEqual(await Simple.find({ name:'dave', relationships:[ 1 ] }), [ { id:4, name:'dave' } ]);
+        assert.deepEqual(await Simple.find({ select:[ 'name', 'relationships' ], where:{ id:4 } }), [ { name:'dave' } ]);
+      });
+    });
+
+    describe('stream()', () => {
+      beforeEach(async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) SELECT 'name-' || i FROM generate_series(1, 75) AS i`);
+      });
+
+      function assertPoolIdle() {
+        assert.equal(pool.idleCount, pool.totalCount, 'all pool clients should have been released');
+      }
+
+      it('should call eachRecord() for every matching record', async () => {
+        // given
+        const names = [];
+
+        // when
+        await Simple.stream({ id:{ '>':70 } }).sort('id').eachRecord(async record => {
+          names.push(record.name);
+        });
+
+        // then
+        assert.deepEqual(names, [ 'name-71', 'name-72', 'name-73', 'name-74', 'name-75' ]);
+        assertPoolIdle();
+      });
+
+      it('should call eachBatch() with batches of the requested size', async () => {
+        // given
+        const batchSizes = [];
+
+        // when
+        await Simple.stream().eachBatch(20, records => {
+          batchSizes.push(records.length);
+        });
+
+        // then
+        assert.deepEqual(batchSizes, [ 20, 20, 20, 15 ]);
+        assertPoolIdle();
+      });
+
+      it('should default to batches of 30', async () => {
+        // given
+        const batchSizes = [];
+
+        // when
+        await Simple.stream().eachBatch(records => {
+          batchSizes.push(records.length);
+        });
+
+        // then
+        assert.deepEqual(batchSizes, [ 30, 30, 15 ]);
+      });
+
+      it('should not fetch the next batch until the previous one has been processed', async () => {
+        // given
+        const events = [];
+        const client = await pool.connect();
+        const query = client.query;
+        client.query = (...args) => { events.push(args[0].split(' ')[0]); return query.apply(client, args); };
+
+        try {
+          await client.query('BEGIN');
+
+          // when
+          await Simple.stream().usingConnection(client).eachBatch(30, async () => {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            events.push('processed');
+          });
+
+          await client.query('COMMIT');
+        } catch(err) {
+          await client.query('ROLLBACK');
+          throw err;
+        } finally {
+          client.query = query;
+          client.release();
+        }
+
+        // then
+        assert.deepEqual(events, [ 'BEGIN', 'DECLARE', 'FETCH', 'processed', 'FETCH', 'processed', 'FETCH', 'processed', 'CLOSE', 'COMMIT' ]);
+      });
+
+      it('should support async iteration', async () => {
+        // given
+        let count = 0;
+
+        // when
+        for await (const record of Simple.stream().sort('id')) {
+          assert.equal(record.name, `name-${++count}`);
+        }
+
+        // then
+        assert.equal(count, 75);
+        assertPoolIdle();
+      });
+
+      it('should release the client if async iteration stops early', async () => {
+        // when
+        for await (const record of Simple.stream()) {
+          if(record.id === 3) break;
+        }
+
+        // then
+        assertPoolIdle();
+      });
+
+      it('should reject and release the client if the iteratee throws', async () => {
+        try {
+          // when
+          await Simple.stream().eachRecord(() => { throw new Error('bad record'); });
+          assert.fail('should have thrown');
+        } catch(e) {
+          // then
+          assert.equal(e.message, 'bad record');
+        }
+        assertPoolIdle();
+      });
+
+      it('should reject and release the client if the query fails', async () => {
+        try {
+          // when
+          await Simple.stream({ id:'not-a-number' }).eachRecord(() => {});
+          assert.fail('should have thrown');
+        } catch(e) {
+          // then
+          assert.equal(e.code, '22P02');
+        }
+        assertPoolIdle();
+      });
+
+      it('should work inside a transaction', async () => {
+        // given
+        const names = [];
+
+        // when
+        await datastore.transaction(async tx => {
+          await Simple.create({ name:'uncommitted' }).usingConnection(tx);
+          await Simple.stream({ id:{ '>':74 } }).sort('id').usingConnection(tx).eachRecord(r => { names.push(r.name); });
+          await Simple.stream({ id:{ '>':74 } }).sort('id').usingConnection(tx).eachRecord(r => { names.push(r.name); });
+        });
+
+        // then
+        assert.deepEqual(names, [ 'name-75', 'uncommitted', 'name-75', 'uncommitted' ]);
+      });
+
+      it('should support populate()', async () => {
+        // given
+        await dbQuery(`INSERT INTO WithRelationship (name, my_simple) VALUES ('owner', 75)`);
+        const records = [];
+
+        // when
+        await WithRelationship.stream().populate('my_simple').eachRecord(r => { records.push(r); });
+
+        // then
+        assert.deepEqual(records, [ { id:1, name:'owner', my_simple:{ id:75, name:'name-75' } } ]);
+      });
+
+      it('should require eachRecord() or eachBatch()', async () => {
+        try {
+          // when
+          await Simple.stream();
+          assert.fail('should have thrown');
+        } catch(e) {
+          // then
+          assert.equal(e.message, 'stream() requires eachRecord() or eachBatch() to be called before it is executed.');
+        }
+      });
+
+      it('should reject a nonsensical batch size', () => {
+        try {
+          // when
+          Simple.stream().eachBatch(0, () => {});
+          assert.fail('should have thrown');
+        } catch(e) {
+          // then
+          assert.equal(e.message, 'Batch size must be a positive integer.');
+        }
+      });
+    });
+
+    describe('findOne()', () => {
+      beforeEach(async () => {
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob'), ('bob')`);
+      });
+
+      it('should return undefined if no match', async () => {
+        // expect
+        assert.isUndefined(await Simple.findOne({ name:'charlie' }));
+      });
+
+      it('should return single match if there is one', async () => {
+        // expect
+        assert.deepEqual(await Simple.findOne({ name:'alice' }), { id:1, name:'alice' });
+      });
+
+      it('should support boolean groups in criteria', async () => {
+        // expect
+        assert.deepEqual(await Simple.findOne({ or:[ { name:'alice' }, { name:'charlie' } ] }), { id:1, name:'alice' });
+      });
+
+      it('should throw if more than one match', async () => {
+        // when
+        try {
+          await Simple.findOne();
+          throw 'unexpected';
+        } catch(err) {
+          assert.equal(err.code, 21000) // "more than one row returned by a subquery used as an expression"
+        }
+      });
+
+      it('should support model relationships without populate()', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+        await dbQuery(`INSERT INTO WithRelationship (name, my_simple) VALUES ('alice_owner', 1), ('bob_owner', 2), ('owns_nothing', NULL)`);
+
+        // expect
+        assert.deepEqual(await WithRelationship.findOne(1), { id:1, name:'alice_owner',   my_simple:1 });
+        assert.deepEqual(await WithRelationship.findOne(2), { id:2, name:'bob_owner',     my_simple:2 });
+        assert.deepEqual(await WithRelationship.findOne(3), { id:3, name:'owns_nothing',  my_simple:null });
+      });
+
+      it('should support model relationships with populate()', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+        await dbQuery(`INSERT INTO WithRelationship (name, my_simple) VALUES ('alice_owner', 1), ('bob_owner', 2), ('owns_nothing', NULL)`);
+
+        // expect
+        assert.deepEqual(await WithRelationship.findOne(1).populate('my_simple'), { id:1, name:'alice_owner',   my_simple:{ id:1, name:'alice' } });
+        assert.deepEqual(await WithRelationship.findOne(2).populate('my_simple'), { id:2, name:'bob_owner',     my_simple:{ id:2, name:'bob'   } });
+        assert.deepEqual(await WithRelationship.findOne(3).populate('my_simple'), { id:3, name:'owns_nothing',  my_simple:undefined });
+      });
+    });
+
+    describe('aggregates', () => {
+      beforeEach(async () => {
+        // given
+        await dbQuery(`INSERT INTO WithDefaults (str_def, num_no_def, num_def)
+                                         VALUES ('a', 1, 10), ('a', 2, 20), ('b', 4, NULL), ('c', NULL, NULL)`);
+      });
+
+      describe('count()', () => {
+        it('should count all rows', async () => {
+          // expect
+          assert.strictEqual(await WithDefaults.count(), 4);
+        });
+
+        it('should count matching rows', async () => {
+          // expect
+          assert.strictEqual(await WithDefaults.count({ str_def:'a' }), 2);
+          assert.strictEqual(await WithDefaults.count({ or:[ { str_def:'b' }, { num_no_def:null } ] }), 2);
+        });
+
+        it('should return 0 for no matches', async () => {
+          // expect
+          assert.strictEqual(await WithDefaults.count({ str_def:'z' }), 0);
+        });
+
+        it('should support transactions', () => {
+          // expect
+          assert.isFunction(WithDefaults.count().usingConnection);
+        });
+      });
+
+      describe('sum()', () => {
+        it('should sum all rows', async () => {
+          // expect
+          assert.strictEqual(await WithDefaults.sum('num_no_def'), 7);
+        });
+
+        it('should sum matching rows', async () => {
+          // expect
+          assert.strictEqual(await WithDefaults.sum('num_no_def', { str_def:'a' }), 3);
+        });
+
+        it('should return 0 for no matches', async () => {
+          // expect
+          assert.strictEqual(await WithDefaults.sum('num_no_def', { str_def:'z' }), 0);
+        });
+
+        it('should reject an unknown attribute', () => {
+          try {
+            // when
+            WithDefaults.sum('nonsense');
+            assert.fail('should have thrown');
+          } catch(e) {
+            // then
+            assert.equal(e.message, 'Unrecognised attribute for model WithDefaults: nonsense');
+          }
+        });
+      });
+
+      describe('avg()', () => {
+        it('should average all non-null values', async () => {
+          // expect
+          assert.strictEqual(await WithDefaults.avg('num_def'), 15);
+        });
+
+        it('should average matching rows', async () => {
+          // expect
+          assert.strictEqual(await WithDefaults.avg('num_no_def', { str_def:[ 'a', 'b' ] }), 7/3);
+        });
+      });
+
+      describe('aggregate()', () => {
+        it('should group results', async () => {
+          // when
+          const groups = await WithDefaults
+              .aggregate({ groupBy:'str_def', count:true, sum:[ 'num_no_def', 'num_def' ], avg:'num_no_def' })
+              .sort('str_def');
+
+          // then
+          assert.deepEqual(groups, [
+            { str_def:'a', count:2, sum:{ num_no_def:3, num_def:30 }, avg:{ num_no_def:1.5 } },
+            { str_def:'b', count:1, sum:{ num_no_def:4, num_def:0  }, avg:{ num_no_def:4   } },
+            { str_def:'c', count:1, sum:{ num_no_def:0, num_def:0  }, avg:{ num_no_def:0   } },
+          ]);
+        });
+
+        it('should apply criteria', async () => {
+          // expect
+          assert.deepEqual(await WithDefaults.aggregate({ groupBy:'str_def', count:true }, { num_no_def:{ '>':1 } }).sort('str_def'),
+              [ { str_def:'a', count:1 }, { str_def:'b', count:1 } ]);
+        });
+
+        it('should aggregate without grouping', async () => {
+          // expect
+          assert.deepEqual(await WithDefaults.aggregate({ count:true, sum:'num_no_def' }),
+              [ { count:4, sum:{ num_no_def:7 } } ]);
+        });
+
+        it('should throw if nothing is requested', () => {
+          try {
+            // when
+            WithDefaults.aggregate({});
+            assert.fail('should have thrown');
+          } catch(e) {
+            // then
+            assert.equal(e.message, 'aggregate() requires at least one of: groupBy, count, sum, avg');
+          }
+        });
+      });
+
+      describe('distinct()', () => {
+        it('should return distinct values', async () => {
+          // expect
+          assert.deepEqual(await WithDefaults.distinct('str_def').sort('str_def'), [ 'a', 'b', 'c' ]);
+        });
+
+        it('should apply criteria', async () => {
+          // expect
+          assert.deepEqual(await WithDefaults.distinct('str_def', { num_no_def:{ '<':3 } }), [ 'a' ]);
+        });
+      });
+    });
+
+    describe('create()', () => {
+      describe('for a Simple entity', () => {
+        it('should create an instance', async () => {
+          // when
+          await Simple.create({ name:'alice' });
+
+          // then
+          const { rows } = await dbQuery('SELECT * FROM Simple');
+          assert.deepEqual(rows, [ { id:1, name:'alice' } ]);
+        });
+
+        it('should return instance if requested', async () => {
+          // when
+          const fetched = await Simple.create({ name:'alice' }).fetch();
+
+          // then
+          assert.deepEqual(fetched, { id:1, name:'alice' });
+        });
+
+        it('should support transactions', () => {
+          // when
+          const insert = Simple.create({ name:'alice' });
+
+          // then
+          assert.isFunction(insert.usingConnection);
+        });
+      });
+
+      describe('for an Audited entity', () => {
+        it('should set auto-timestamped rows', async () => {
+          // when
+          await Audited.create({ name:'alice' });
+
+          // then
+          const { rows } = await dbQuery('SELECT * FROM Audited');
+          assert.equal(rows.length, 1);
+
+          assert.deepInclude(rows[0], { id:1, name:'alice' });
+          assertNumericFieldsEqual(rows[0], 'created_at', 'inserted_at', 'updated_at', '_set_at');
+        });
+      });
+
+      describe('with global auto-created and auto-updated properties configured', () => {
+        it('should set auto-timestamped rows', async () => {
+          // given
+          const { models } = plimsoll( pool, { Simple }, { created_timestamp:{ type:'number', autoCreatedAt:true } });
+          Simple = models.Simple;
+
+          await dbQuery('ALTER TABLE Simple ADD COLUMN created_timestamp BIGINT');
+
+          // when
+          await Simple.create({ name:'alice' });
+
+          // then
+          const { rows } = await dbQuery('SELECT * FROM Simple');
+          assert.equal(rows.length, 1);
+          assert.deepInclude(rows[0], { id:1, name:'alice' });
+          assertNumericFieldsEqual(rows[0], 'created_timestamp');
+        });
+      });
+
+      describe('for a restricted value', () => {
+        it('should accept a valid value', async () => {
+          await Restricted.create({ category:'A' });
+        });
+
+        it('should reject an invalid value', async () => {
+          try {
+            // when
+            await Restricted.create({ category:'Z' });
+            assert.fail('Should have thrown');
+          } catch(err) {
+            // then
+            assert.equal(err.code, 'E_INVALID_NEW_RECORD');
+            assert.deepEqual(err.invalidAttributes, { category:[ { rule:'isIn', message:'Value should be one of: A, B, C' } ] });
+          }
+        });
+      });
+
+      describe('for a json column', () => {
+        [
+          1,
+          'a',
+          [1, 'a', 2, 'b'],
+          { a:1, b:2 },
+        ].forEach(value => {
+          it(`should handle value of ${JSON.stringify(value)}`, async () => {
+            // when
+            await WithJsonbColumn.create({ json_column:value });
+
+            // then
+            assert.deepEqual(await WithJsonbColumn.find(), [{ id:1, json_column:value }]);
+          });
+        });
+      });
+    });
+
+    describe('createEach()', () => {
+      describe('for an empty list', () => {
+        it('should not throw', async () => {
+          // expect
+          await Simple.createEach([]);
+        });
+
+        it('should return a thennable', async () => {
+          // given
+          const creator = Simple.createEach([]);
+
+          // expect
+          assert.isFunction(creator.then);
+        });
+
+        [
+          'after',
+          'fetch',
+          'intercept',
+          'limit',
+          'meta',
+          'paginate',
+          'populate',
+          'skip',
+          'sort',
+          'tolerate',
+          'usingConnection',
+        ].forEach(fnName => {
+          // This test is a bit ugly, because it relies on details of the current
+          // implementation.  Mainly to improve code metrics o_O
+          it(`should return no-op function '${fnName}()'`, () => {
+            // given
+            const ret = Simple.createEach([]);
+            const fn = ret[fnName];
+
+            // expect
+            assert.isFunction(fn);
+            assert.equal(fn(), ret);
+          });
+        });
+      });
+
+      describe('for a Simple entity', () => {
+        it('should create multiple instances', async () => {
+          // when
+          await Simple.createEach([ { name:'alice' }, { name:'bob' } ]);
+
+          // then
+          const { rows } = await dbQuery('SELECT * FROM Simple');
+          assert.equal(rows.length, 2);
+          assert.deepEqual(rows, [ { id:1, name:'alice' }, { id:2, name:'bob' } ]);
+        });
+      });
+
+      describe('for an Audited entity', () => {
+        it('should set auto-timestamped rows', async () => {
+          // when
+          await Audited.createEach([ { name:'alice' }, { name:'bob' } ]);
+
+          // then
+          const { rows } = await dbQuery('SELECT * FROM Audited');
+          assert.equal(rows.length, 2);
+
+          assert.deepInclude(rows[0], { id:1, name:'alice' });
+          assertNumericFieldsEqual(rows[0], 'created_at', 'inserted_at', 'updated_at', '_set_at');
+
+          assert.deepInclude(rows[1], { id:2, name:'bob' });
+          assertNumericFieldsEqual(rows[1], 'created_at', 'inserted_at', 'updated_at', '_set_at');
+
+          // expect rows created in the same statement to have matching timestamps
+          assert.equal(rows[0].created_at,
+                       rows[1].created_at);
+        });
+      });
+    });
+
+    describe('findOrCreate()', () => {
+      beforeEach(async () => {
+        await dbQuery('ALTER TABLE Simple ADD CONSTRAINT simple_name_unique UNIQUE (name)');
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice')`);
+      });
+
+      it('should return an existing record', async () => {
+        // expect
+        assert.deepEqual(await Simple.findOrCreate({ name:'alice' }, { name:'alice' }), { id:1, name:'alice' });
+
+        // and
+        const { rows } = await dbQuery('SELECT * FROM Simple');
+        assert.equal(rows.length, 1);
+      });
+
+      it('should create a new record if there is no match', async () => {
+        // expect
+        assert.deepEqual(await Simple.findOrCreate({ name:'bob' }, { name:'bob' }), { id:2, name:'bob' });
+      });
+
+      it('should report whether the record was created via exec()', async () => {
+        // when
+        const results = await Promise.all([ 'alice', 'bob' ].map(name => new Promise((resolve, reject) => {
+          Simple.findOrCreate({ name }, { name })
+              .exec((err, record, wasCreated) => err ? reject(err) : resolve({ record, wasCreated }));
+        })));
+
+        // then
+        assert.deepEqual(results, [
+          { record:{ id:1, name:'alice' }, wasCreated:false },
+          { record:{ id:2, name:'bob'   }, wasCreated:true  },
+        ]);
+      });
+
+      it('should apply defaults and auto-timestamps to created records', async () => {
+        // when
+        const created = await Audited.findOrCreate({ name:'alice' }, { name:'alice' });
+
+        // then
+        assert.deepInclude(created, { id:1, name:'alice' });
+        assertNumericFieldsEqual(created, 'created_at', 'inserted_at', 'updated_at', '_set_at');
+      });
+
+      it('should return a single record when racing with itself', async () => {
+        // when
+        const results = await Promise.all([ 1, 2, 3 ].map(() => Simple.findOrCreate({ name:'bob' }, { name:'bob' })));
+
+        // then
+        results.forEach(r => assert.deepEqual(r, { id:results[0].id, name:'bob' }));
+        const { rows } = await dbQuery(`SELECT * FROM Simple WHERE name='bob'`);
+        assert.equal(rows.length, 1);
+      });
+
+      it('should support transactions', async () => {
+        // when
+        await datastore.transaction(async tx => {
+          await Simple.findOrCreate({ name:'bob' }, { name:'bob' }).usingConnection(tx);
+          throw new Error('please rollback');
+        }).catch(() => {});
+
+        // then
+        const { rows } = await dbQuery('SELECT * FROM Simple');
+        assert.deepEqual(rows, [ { id:1, name:'alice' } ]);
+      });
+    });
+
+    describe('createOrUpdate()', () => {
+      beforeEach(async () => {
+        await dbQuery('ALTER TABLE Audited ADD CONSTRAINT audited_name_unique UNIQUE (name)');
+        await dbQuery('ALTER TABLE Simple ADD PRIMARY KEY (id)');
+      });
+
+      it('should create a new record', async () => {
+        // when
+        await Simple.createOrUpdate({ name:'alice' });
+
+        // then
+        const { rows } = await dbQuery('SELECT * FROM Simple');
+        assert.deepEqual(rows, [ { id:1, name:'alice' } ]);
+      });
+
+      it('should update an existing record, using id as the default conflict target', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+
+        // when
+        const upserted = await Simple.createOrUpdate({ id:2, name:'charlie' }).fetch();
+
+        // then
+        assert.deepEqual(upserted, { id:2, name:'charlie' });
+        const { rows } = await dbQuery('SELECT * FROM Simple ORDER BY id');
+        assert.deepEqual(rows, [ { id:1, name:'alice' }, { id:2, name:'charlie' } ]);
+      });
+
+      it('should preserve autoCreatedAt and refresh autoUpdatedAt on update', async () => {
+        // given
+        await dbQuery(`INSERT INTO Audited (name, created_at, inserted_at, updated_at, _set_at) VALUES ('alice', 1, 1, 1, 1)`);
+
+        // when
+        const upserted = await Audited.createOrUpdate({ name:'alice' }, { conflictTarget:'name' }).fetch();
+
+        // then
+        assert.deepInclude(upserted, { id:1, name:'alice', created_at:1 });
+        assert.equal(upserted.inserted_at, 1);
+        assert.isAbove(upserted.updated_at, 1);
+        assertNumericFieldsEqual(upserted, 'updated_at', '_set_at');
+      });
+
+      it('should not overwrite unsupplied attributes with defaults', async () => {
+        // given
+        await dbQuery('ALTER TABLE WithDefaults ADD PRIMARY KEY (id)');
+        await dbQuery(`INSERT INTO WithDefaults (str_no_def, str_def, num_no_def, num_def) VALUES ('a', 'b', 1, 2)`);
+
+        // when
+        await WithDefaults.createOrUpdate({ id:1, num_no_def:3 });
+
+        // then
+        const { rows } = await dbQuery('SELECT * FROM WithDefaults');
+        assert.deepEqual(rows, [ { id:1, str_no_def:'a', str_def:'b', num_no_def:3, num_def:2 } ]);
+      });
+
+      it('should support a named constraint as conflict target', async () => {
+        // given
+        await dbQuery(`INSERT INTO Audited (name) VALUES ('alice')`);
+
+        // when
+        await Audited.createOrUpdate({ name:'alice' }, { conflictTarget:{ constraint:'audited_name_unique' } });
+
+        // then
+        const { rows } = await dbQuery('SELECT * FROM Audited');
+        assert.equal(rows.length, 1);
+      });
+
+      it('should reject an unknown conflict target', () => {
+        try {
+          // when
+          Simple.createOrUpdate({ name:'alice' }, { conflictTarget:'nonsense' });
+          assert.fail('should have thrown');
+        } catch(e) {
+          // then
+          assert.equal(e.message, 'Unrecognised attribute for model Simple: nonsense');
+        }
+      });
+    });
+
+    describe('createOrUpdateEach()', () => {
+      beforeEach(async () => {
+        await dbQuery('ALTER TABLE Simple ADD PRIMARY KEY (id)');
+      });
+
+      it('should not throw for an empty list', async () => {
+        // expect
+        assert.deepEqual(await Simple.createOrUpdateEach([]).fetch(), []);
+      });
+
+      it('should create and update multiple records', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice')`);
+
+        // when
+        const upserted = await Simple.createOrUpdateEach([ { id:1, name:'alicia' }, { id:5, name:'bob' } ]).fetch();
+
+        // then
+        assert.deepEqual(upserted, [ { id:1, name:'alicia' }, { id:5, name:'bob' } ]);
+        const { rows } = await dbQuery('SELECT * FROM Simple ORDER BY id');
+        assert.deepEqual(rows, [ { id:1, name:'alicia' }, { id:5, name:'bob' } ]);
+      });
+    });
+
+    describe('update()', () => {
+      describe('for an empty update object', () => {
+        it('should not throw', async () => {
+          // expect
+          await Simple.update(-1).set({});
+        });
+
+        it('should be thennable', () => {
+          // given
+          const updater = Simple.update(-1).set({});
+
+          // expect
+          assert.isFunction(updater.then);
+        });
+
+        it('should allow transactions', () => {
+          // given
+          const updater = Simple.update(-1).set({});
+
+          // expect
+          assert.isFunction(updater.usingConnection);
+        });
+
+        it('should return matched values if requested', async () => {
+          // given
+          await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+
+          // when
+          const matched = await Simple
+              .update({ name:'alice' })
+              .set({})
+              .fetch();
+
+          // then
+          assert.deepEqual(matched, [ { id:1, name:'alice' } ]);
+        });
+      });
+
+      it('should update a single row', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+
+        // when
+        await Simple.update(1).set({ name:'charlie' });
+
+        // then
+        const { rows } = await dbQuery('SELECT * FROM Simple ORDER BY id');
+        assert.deepEqual(rows, [ { id:1, name:'charlie' }, { id:2, name:'bob' } ]);
+      });
+
+      it('should update multiple rows', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+
+        // when
+        await Simple.update({}).set({ name:'charlie' });
+
+        // then
+        const { rows } = await dbQuery('SELECT * FROM Simple ORDER BY id');
+        assert.deepEqual(rows, [ { id:1, name:'charlie' }, { id:2, name:'charlie' } ]);
+      });
+
+      it('should update multiple rows for an array of IDs', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+
+        // when
+        await Simple.update({ id:[1, 2 ] }).set({ name:'charlie' });
+
+        // then
+        const { rows } = await dbQuery('SELECT * FROM Simple ORDER BY id');
+        assert.deepEqual(rows, [ { id:1, name:'charlie' }, { id:2, name:'charlie' } ]);
+      });
+    });
+
+    describe('update() with boolean groups in criteria', () => {
+      it('should only update matched rows', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob'), ('charlie')`);
+
+        // when
+        await Simple.update({ or:[ { name:'alice' }, { id:3 } ] }).set({ name:'dave' });
+
+        // then
+        const { rows } = await dbQuery('SELECT * FROM Simple ORDER BY id');
+        assert.deepEqual(rows, [ { id:1, name:'dave' }, { id:2, name:'bob' }, { id:3, name:'dave' } ]);
+      });
+
+      it('should number SET and WHERE parameters correctly for updateOne()', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob'), ('charlie')`);
+
+        // when
+        const updated = await Simple.updateOne({ not:{ or:[ { name:'alice' }, { id:{ '>':2 } } ] } }).set({ name:'dave' });
+
+        // then
+        assert.deepEqual(updated, { id:2, name:'dave' });
+      });
+    });
+
+    describe('updateOne()', () => {
+      describe('for an empty update object', () => {
+        it('should not throw', async () => {
+          // expect
+          await Simple.updateOne(-1).set({});
+        });
+
+        it('should be thennable', () => {
+          // given
+          const updater = Simple.updateOne(-1).set({});
+
+          // expect
+          assert.isFunction(updater.then);
+        });
+
+        it('should allow transactions', () => {
+          // given
+          const updater = Simple.updateOne(-1).set({});
+
+          // expect
+          assert.isFunction(updater.usingConnection);
+        });
+
+        it('should always return matched value', async () => {
+          // given
+          await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+
+          // when
+          const matched = await Simple
+              .updateOne({ name:'alice' })
+              .set({});
+
+          // then
+          assert.deepEqual(matched, { id:1, name:'alice' });
+        });
+      });
+
+      it('should update a single row', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+
+        // when
+        await Simple.updateOne(1).set({ name:'charlie' });
+
+        // then
+        const { rows } = await dbQuery('SELECT * FROM Simple ORDER BY id');
+        assert.deepEqual(rows, [ { id:1, name:'charlie' }, { id:2, name:'bob' } ]);
+      });
+
+      it('should throw if multiple rows are matched', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+
+        // when
+        try {
+          await Simple.updateOne({}).set({ name:'charlie' });
+          throw 'unexpected';
+        } catch(err) {
+          // then
+          assert.equal(err.code, 21000);
+        }
+      });
+
+      it('should not update undefined fields', async () => {
+        // given
+        await dbQuery(`INSERT INTO WithDefaults (str_no_def, str_def, num_no_def, num_def) VALUES ('a', 'b', 1, 2)`);
+
+        // when
+        await WithDefaults.updateOne(1).set({ str_no_def:'c' });
+
+        // then
+        const { rows } = await dbQuery('SELECT * FROM WithDefaults ORDER BY id');
+        assert.deepEqual(rows, [ { id:1, str_no_def:'c', str_def:'b', num_no_def:1, num_def:2 } ]);
+      });
+    });
+
+    describe('destroy()', () => {
+      it('should work without args', async () => {
+        // expect
+        assert.deepEqual(await Simple.destroy(), []);
+      });
+
+      it('should treat an empty object as DELETing whole table', async () => {
+        // expect
+        assert.deepEqual(await Simple.destroy({}), []);
+      });
+
+      it('should DELETE multiple rows', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+
+        // when
+        await Simple.destroy();
+
+        // then
+        const { rows } = await dbQuery('SELECT * FROM Simple');
+        assert.deepEqual(rows, []);
+      });
+
+      it('should support boolean groups in criteria', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob'), ('charlie')`);
+
+        // when
+        await Simple.destroy({ or:[ { name:'alice' }, { name:'charlie' } ] });
+
+        // then
+        const { rows } = await dbQuery('SELECT * FROM Simple');
+        assert.deepEqual(rows, [ { id:2, name:'bob' } ]);
+      });
+
+      it('should not destroy anything for an unrecognised property inside a group', async () => {
+        // given
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+
+        try {
+          // when
+          await Simple.destroy({ or:[ { nmae:'alice' } ] });
+          assert.fail('should have thrown');
+        } catch(e) {
+          // then
+          assert.equal(e.message, 'Unrecognised attribute in criteria: nmae');
+        }
+        const { rows } = await dbQuery('SELECT * FROM Simple ORDER BY id');
+        assert.deepEqual(rows, [ { id:1, name:'alice' }, { id:2, name:'bob' } ]);
+      });
+
+      it('should not support select() chainging', async () => {
+        // TODO it's actually quite reasonable to select fields when deleting,
+        // and can be implemented using RETURNING
+        try {
+          // when
+          assert.deepEqual(await Simple.destroy({ select:[ 'id' ] }));
+          assert.fail('should have thrown');
+        } catch(e) {
+          // then
+          assert.equal(e.message, 'Cannot understand use of select()/{ select } in a destroy() call.');
+        }
+      });
+    });
+
+    describe('destroyOne()', () => {
+      beforeEach(async () => {
+        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob'), ('bob')`);
+      });
+
+      it('should have no effect if there is no match', async () => {
+        // when
+        await Simple.destroyOne({ name:'charlie' });
+
+        // then
+        const { rows } = await dbQuery('SELECT * FROM Simple');
+        assert.equal(rows.length, 3);
+        assert.deepEqual(rows, [ { id:1, name:'alice' }, { id:2, name:'bob' }, { id:3, name:'bob' } ]);
+      });
+
+      it('should delete the single match if there is one', async () => {
+        // when
+        await Simple.destroyOne({ name:'alice' });
+
+        // then
+        const { rows } = await dbQuery('SELECT * FROM Simple');
+        assert.equal(rows.length, 2);
+        assert.deepEqual(rows, [ { id:2, name:'bob' }, { id:3, name:'bob' } ]);
+      });
+
+      it('should support boolean groups in criteria', async () => {
+        // when
+        await Simple.destroyOne({ and:[ { name:'bob' }, { not:{ id:2 } } ] });
+
+        // then
+        const { rows } = await dbQuery('SELECT * FROM Simple');
+        assert.deepEqual(rows, [ { id:1, name:'alice' }, { id:2, name:'bob' } ]);
+      });
+
+      it('should throw if more than one match (no properties to match)', async () => {
+        // when
+        try {
+          await Simple.destroyOne();
+          throw 'unexpected';
+        } catch(err) {
+          assert.equal(err.code, 21000) // "more than one row returned by a subquery used as an expression"
+        }
+      });
+
+      it('should throw if more than one match (matched properties)', async () => {
+        // when
+        try {
+          await Simple.destroyOne({ name:'bob' });
+          throw 'unexpected';
+        } catch(err) {
+          assert.equal(err.code, 21000) // "more than one row returned by a subquery used as an expression"
+        }
+      });
+    });
+  });
+
+  describe('Collection associations', () => {
+    let datastore;
+    let Pet, PetOwnership, Post, Simple, Tag, User, WithRelationship;
+
+    beforeEach(async () => {
+      await dbQuery('DROP SCHEMA IF EXISTS public CASCADE');
+      await dbQuery('CREATE SCHEMA public');
+
+      await dbQuery(`CREATE TABLE Simple ( id SERIAL, name TEXT )`);
+      await dbQuery(`CREATE TABLE WithRelationship ( id SERIAL, name TEXT, my_simple INT )`);
+
+      await dbQuery(`CREATE TABLE Post ( id SERIAL, title TEXT )`);
+      await dbQuery(`CREATE TABLE Tag  ( id SERIAL, label TEXT )`);
+      await dbQuery(`CREATE TABLE post_tags__tag_posts ( post_tags INT, tag_posts INT )`);
+
+      await dbQuery(`CREATE TABLE "user"       ( id SERIAL, name TEXT, best_pet INT )`);
+      await dbQuery(`CREATE TABLE Pet          ( id SERIAL, name TEXT )`);
+      await dbQuery(`CREATE TABLE PetOwnership ( id SERIAL, owner INT, pet INT, created_at BIGINT )`);
+
+      datastore = plimsoll(pool, {
+        Simple: {
+          attributes: {
+            id:            { type:'number', autoIncrement:true },
+            name:          { type:'string' },
+            relationships: { collection:'WithRelationship', via:'my_simple' },
+          },
+        },
+        WithRelationship: {
+          attributes: {
+            id:        { type:'number', autoIncrement:true },
+            name:      { type:'string' },
+            my_simple: { model:'Simple' },
+          },
+        },
+        Post: {
+          attributes: {
+            id:    { type:'number', autoIncrement:true },
+            title: { type:'string' },
+            tags:  { collection:'tag', via:'posts' },
+          },
+        },
+        Tag: {
+          attributes: {
+            id:    { type:'number', autoIncrement:true },
+            label: { type:'string' },
+            posts: { collection:'post', via:'tags' },
+          },
+        },
+        User: {
+          attributes: {
+            id:   { type:'number', autoIncrement:true },
+            name:     { type:'string' },
+            best_pet: { model:'pet' },
+            pets:     { collection:'pet', via:'owner', through:'petownership' },
+          },
+        },
+        Pet: {
+          attributes: {
+            id:     { type:'number', autoIncrement:true },
+            name:   { type:'string' },
+            owners: { collection:'user', via:'pet', through:'petownership' },
+          },
+        },
+        PetOwnership: {
+          attributes: {
+            id:         { type:'number', autoIncrement:true },
+            owner:      { model:'user' },
+            pet:        { model:'pet' },
+            created_at: { type:'number', autoCreatedAt:true },
+          },
+        },
+      });
+
+      ({ Pet, PetOwnership, Post, Simple, Tag, User, WithRelationship } = datastore.models);
+
+      await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+      await dbQuery(`INSERT INTO WithRelationship (name, my_simple) VALUES ('r1', 1), ('r2', 1), ('r3', NULL)`);
+      await dbQuery(`INSERT INTO Post (title) VALUES ('p1'), ('p2')`);
+      await dbQuery(`INSERT INTO Tag (label) VALUES ('t1'), ('t2'), ('t3')`);
+      await dbQuery(`INSERT INTO "user" (name, best_pet) VALUES ('u1', 2), ('u2', NULL)`);
+      await dbQuery(`INSERT INTO Pet (name) VALUES ('rex'), ('tom')`);
+    });
+
+    async function relationshipsByOwner() {
+      const { rows } = await dbQuery('SELECT id, my_simple FROM WithRelationship ORDER BY id');
+      return rows;
+    }
+
+    async function postTags() {
+      const { rows } = await dbQuery('SELECT * FROM post_tags__tag_posts ORDER BY post_tags, tag_posts');
+      return rows.map(r => [ r.post_tags, r.tag_posts ]);
+    }
+
+    describe('one-to-many', () => {
+      it('should addToCollection()', async () => {
+        // when
+        await Simple.addToCollection(2, 'relationships', [ 1, 3 ]);
+
+        // then
+        assert.deepEqual(await relationshipsByOwner(), [ { id:1, my_simple:2 }, { id:2, my_simple:1 }, { id:3, my_simple:2 } ]);
+      });
+
+      it('should removeFromCollection()', async () => {
+        // when
+        await Simple.removeFromCollection(1, 'relationships', 2);
+
+        // then
+        assert.deepEqual(await relationshipsByOwner(), [ { id:1, my_simple:1 }, { id:2, my_simple:null }, { id:3, my_simple:null } ]);
+      });
+
+      it('should replaceCollection()', async () => {
+        // when
+        await Simple.replaceCollection(1, 'relationships', [ 2, 3 ]);
+
+        // then
+        assert.deepEqual(await relationshipsByOwner(), [ { id:1, my_simple:null }, { id:2, my_simple:1 }, { id:3, my_simple:1 } ]);
+      });
+
+      it('should refuse to add to the collections of more than one parent', () => {
+        try {
+          // when
+          Simple.addToCollection([ 1, 2 ], 'relationships', 3);
+          assert.fail('should have thrown');
+        } catch(e) {
+          // then
+          assert.equal(e.message, 'Cannot add relationships for more than one Simple at a time.');
+        }
+      });
+    });
+
+    describe('many-to-many with an automatic join table', () => {
+      it('should addToCollection() without duplicating existing entries', async () => {
+        // given
+        await dbQuery('INSERT INTO post_tags__tag_posts (post_tags, tag_posts) VALUES (1, 1)');
+
+        // when
+        await Post.addToCollection([ 1, 2 ], 'tags', [ 1, 2 ]);
+
+        // then
+        assert.deepEqual(await postTags(), [ [ 1, 1 ], [ 1, 2 ], [ 2, 1 ], [ 2, 2 ] ]);
+      });
+
+      it('should addToCollection() from the other side of the association', async () => {
+        // when
+        await Tag.addToCollection(3, 'posts', [ 2 ]);
+
+        // then
+        assert.deepEqual(await postTags(), [ [ 2, 3 ] ]);
+      });
+
+      it('should removeFromCollection()', async () => {
+        // given
+        await dbQuery('INSERT INTO post_tags__tag_posts (post_tags, tag_posts) VALUES (1, 1), (1, 2), (2, 2)');
+
+        // when
+        await Post.removeFromCollection(1, 'tags', [ 2, 3 ]);
+
+        // then
+        assert.deepEqual(await postTags(), [ [ 1, 1 ], [ 2, 2 ] ]);
+      });
+
+      it('should replaceCollection()', async () => {
+        // given
+        await dbQuery('INSERT INTO post_tags__tag_posts (post_tags, tag_posts) VALUES (1, 1), (1, 2), (2, 2)');
+
+        // when
+        await Post.replaceCollection(1, 'tags', [ 2, 3 ]);
+
+        // then
+        assert.deepEqual(await postTags(), [ [ 1, 2 ], [ 1, 3 ], [ 2, 2 ] ]);
+      });
+
+      it('should replaceCollection() atomically', async () => {
+        // given
+        await dbQuery('INSERT INTO post_tags__tag_posts (post_tags, tag_posts) VALUES (1, 1)');
+
+        // when
+        try {
+          await Post.replaceCollection(1, 'tags', [ 'not-an-id' ]);
+          assert.fail('should have thrown');
+        } catch(err) {
+          assert.equal(err.code, '22P02'); // invalid_text_representation
+        }
+
+        // then
+        assert.deepEqual(await postTags(), [ [ 1, 1 ] ]);
+      });
+
+      it('should populate()', async () => {
+        // given
+        await dbQuery('INSERT INTO post_tags__tag_posts (post_tags, tag_posts) VALUES (1, 1), (1, 2), (2, 2)');
+
+        // expect
+        assert.deepEqual(await Post.find().populate('tags'), [
+          { id:1, title:'p1', tags:[ { id:1, label:'t1' }, { id:2, label:'t2' } ] },
+          { id:2, title:'p2', tags:[ { id:2, label:'t2' } ] },
+        ]);
+        assert.deepEqual(await Tag.findOne(2).populate('posts'),
+            { id:2, label:'t2', posts:[ { id:1, title:'p1' }, { id:2, title:'p2' } ] });
+      });
+
+      it('should honour usingConnection()', async () => {
+        // when
+        await datastore.transaction(async tx => {
+          await Post.addToCollection(1, 'tags', 1).usingConnection(tx);
+          throw new Error('please rollback');
+        }).catch(() => {});
+
+        // then
+        assert.deepEqual(await postTags(), []);
+      });
+    });
+
+    describe('many-to-many through a join model', () => {
+      it('should addToCollection() using the through model', async () => {
+        // when
+        await User.addToCollection(1, 'pets', [ 1, 2 ]);
+        await Pet.addToCollection(2, 'owners', [ 1, 2 ]);
+
+        // then
+        const ownerships = await PetOwnership.find().sort('id');
+        assert.deepEqual(ownerships.map(({ owner, pet }) => [ owner, pet ]), [ [ 1, 1 ], [ 1, 2 ], [ 2, 2 ] ]);
+        assert.isAbove(ownerships[0].created_at, 0);
+      });
+
+      it('should removeFromCollection()', async () => {
+        // given
+        await User.addToCollection(1, 'pets', [ 1, 2 ]);
+
+        // when
+        await Pet.removeFromCollection(1, 'owners', 1);
+
+        // then
+        const ownerships = await PetOwnership.find();
+        assert.deepEqual(ownerships.map(({ owner, pet }) => [ owner, pet ]), [ [ 1, 2 ] ]);
+      });
+
+      it('should populate()', async () => {
+        // given
+        await User.addToCollection(1, 'pets', [ 1, 2 ]);
+
+        // expect
+        assert.deepEqual(await User.find().populate('pets'), [
+          { id:1, name:'u1', best_pet:2,    pets:[ { id:1, name:'rex' }, { id:2, name:'tom' } ] },
+          { id:2, name:'u2', best_pet:null, pets:[] },
+        ]);
+      });
+    });
+
+    describe('populate()', () => {
+      beforeEach(async () => {
+        // given
+        await dbQuery(`INSERT INTO Tag (label) VALUES ('t4'), ('t5')`);
+        await dbQuery(`INSERT INTO post_tags__tag_posts (post_tags, tag_posts) VALUES (1, 5), (1, 1), (1, 4), (2, 2), (2, 4), (1, 3)`);
+        await User.addToCollection(1, 'pets', [ 1, 2 ]);
+        await User.addToCollection(2, 'pets', [ 2 ]);
+      });
+
+      async function countQueries(fn) {
+        const queries = [];
+        const client = await pool.connect();
+        const query = client.query;
+        client.query = (...args) => { queries.push(args[0]); return query.apply(client, args); };
+        try {
+          await fn(client);
+        } finally {
+          client.query = query;
+          client.release();
+        }
+        return queries.length;
+      }
+
+      it('should populate multiple associations', async () => {
+        // expect
+        assert.deepEqual(await User.find().populate('pets').populate('best_pet'), [
+          { id:1, name:'u1', best_pet:{ id:2, name:'tom' }, pets:[ { id:1, name:'rex' }, { id:2, name:'tom' } ] },
+          { id:2, name:'u2', best_pet:undefined,            pets:[ { id:2, name:'tom' } ] },
+        ]);
+      });
+
+      it('should populate nested associations', async () => {
+        // when
+        const users = await User.find({ id:2 }).populate('pets.owners');
+
+        // then
+        assert.deepEqual(users, [
+          { id:2, name:'u2', best_pet:null, pets:[
+            { id:2, name:'tom', owners:[ { id:1, name:'u1', best_pet:2 }, { id:2, name:'u2', best_pet:null } ] },
+          ] },
+        ]);
+      });
+
+      it('should populate nested singular associations', async () => {
+        // when
+        const relationships = await WithRelationship.find({ my_simple:{ '!=':null } }).populate('my_simple.relationships');
+
+        // then
+        assert.deepEqual(relationships, [
+          { id:1, name:'r1', my_simple:{ id:1, name:'alice', relationships:[ { id:1, name:'r1', my_simple:1 }, { id:2, name:'r2', my_simple:1 } ] } },
+          { id:2, name:'r2', my_simple:{ id:1, name:'alice', relationships:[ { id:1, name:'r1', my_simple:1 }, { id:2, name:'r2', my_simple:1 } ] } },
+        ]);
+      });
+
+      it('should populate with one query per association per level', async () => {
+        // when
+        const queryCount = await countQueries(client => User.find()
+            .populate('best_pet')
+            .populate('pets.owners.pets')
+            .usingConnection(client));
+
+        // then
+        assert.equal(queryCount, 5);
+      });
+
+      it('should filter populated records with a plain where clause', async () => {
+        // expect
+        assert.deepEqual(await Post.findOne(1).populate('tags', { label:{ '!=':'t1' }, id:{ '<':5 } }),
+            { id:1, title:'p1', tags:[ { id:3, label:'t3' }, { id:4, label:'t4' } ] });
+      });
+
+      it('should support where, sort and select sub-criteria', async () => {
+        // expect
+        assert.deepEqual(await Post.find().populate('tags', { where:{ id:{ '>':1 } }, sort:'label DESC', select:[ 'label' ] }), [
+          { id:1, title:'p1', tags:[ { id:5, label:'t5' }, { id:4, label:'t4' }, { id:3, label:'t3' } ] },
+          { id:2, title:'p2', tags:[ { id:4, label:'t4' }, { id:2, label:'t2' } ] },
+        ]);
+      });
+
+      it('should apply limit and skip to each parent separately', async () => {
+        // expect
+        assert.deepEqual(await Post.find().populate('tags', { sort:'id DESC', skip:1, limit:2 }), [
+          { id:1, title:'p1', tags:[ { id:4, label:'t4' }, { id:3, label:'t3' } ] },
+          { id:2, title:'p2', tags:[ { id:2, label:'t2' } ] },
+        ]);
+      });
+
+      it('should number parameters correctly for sub-criteria', async () => {
+        // expect
+        assert.deepEqual(await Post.find({ title:'p2' }).populate('tags', { or:[ { label:'t2' }, { id:[ 3, 4 ] } ] }), [
+          { id:2, title:'p2', tags:[ { id:2, label:'t2' }, { id:4, label:'t4' } ] },
+        ]);
+      });
+
+      it('should support select for singular associations', async () => {
+        // expect
+        assert.deepEqual(await User.findOne(1).populate('best_pet', { select:[] }),
+            { id:1, name:'u1', best_pet:{ id:2 } });
+      });
+
+      it('should reject other sub-criteria for singular associations', async () => {
+        try {
+          // when
+          await User.find().populate('best_pet', { where:{ name:'rex' } });
+          assert.fail('should have thrown');
+        } catch(e) {
+          // then
+          assert.equal(e.message, 'Only select is supported when populating singular association: best_pet');
+        }
+      });
+
+      describe('with populateStrategy \'join\'', () => {
+        const join = { populateStrategy:'join' };
+
+        [
+          [ 'find() with multiple associations', () => User.find().populate('pets').populate('best_pet') ],
+          [ 'findOne()',                         () => User.findOne(1).populate('pets').populate('best_pet') ],
+          [ 'findOne() without a match',         () => User.findOne(99).populate('pets') ],
+          [ 'one-to-many',                       () => Simple.find().populate('relationships') ],
+          [ 'sorted, limited parent query',      () => Post.find().sort('id DESC').limit(1).populate('tags') ],
+          [ 'where, sort and select',            () => Post.find().populate('tags', { where:{ id:{ '>':1 } }, sort:'label DESC', select:[ 'label' ] }) ],
+          [ 'per-parent limit and skip',         () => Post.find().populate('tags', { sort:'id DESC', skip:1, limit:2 }) ],
+          [ 'parameters in sub-criteria',        () => Post.find({ title:'p2' }).populate('tags', { or:[ { label:'t2' }, { id:[ 3, 4 ] } ] }) ],
+          [ 'select for singular associations',  () => User.find().populate('best_pet', { select:[] }) ],
+        ].forEach(([ description, query ]) => {
+          it(`should match the default strategy for ${description}`, async () => {
+            // expect
+            assert.deepEqual(await query().meta(join), await query());
+          });
+        });
+
+        describe('with column types which JSON does not preserve', () => {
+          let Account;
+
+          beforeEach(async () => {
+            // given
+            await dbQuery(`CREATE TABLE account ( id SERIAL, name TEXT, latest_entry INT )`);
+            await dbQuery(`
+              CREATE TABLE entry (
+                id         SERIAL,
+                account    INT,
+                amount     NUMERIC(12, 2),
+                big        BIGINT,
+                booked_at  TIMESTAMPTZ,
+                booked_on  DATE,
+                tags       TEXT[],
+                details    JSONB,
+                unmodelled TEXT DEFAULT 'extra'
+              )
+            `);
+            ({ Account } = plimsoll(pool, {
+              Account: {
+                attributes: {
+                  id:           { type:'number', autoIncrement:true },
+                  name:         { type:'string' },
+                  latest_entry: { model:'Entry' },
+                  entries:      { collection:'Entry', via:'account' },
+                },
+              },
+              Entry: {
+                attributes: {
+                  id:        { type:'number', autoIncrement:true },
+                  account:   { model:'Account' },
+                  amount:    { type:'ref', columnType:'numeric' },
+                  big:       { type:'ref', columnType:'bigint' },
+                  booked_at: { type:'ref', columnType:'timestamptz' },
+                  booked_on: { type:'ref', columnType:'date' },
+                  tags:      { type:'ref', columnType:'text[]' },
+                  details:   { type:'json' },
+                },
+              },
+            }).models);
+
+            await dbQuery(`INSERT INTO account (name, latest_entry) VALUES ('b', 2), ('a', 1), ('c', NULL)`);
+            await dbQuery(`
+              INSERT INTO entry (account, amount, big, booked_at, booked_on, tags, details)
+                VALUES (1, 1.10, 9007199254740993, '2020-01-02 03:04:05.678+00', '2020-01-02', '{x,"y z"}', '{"n":1}'),
+                       (2, NULL, NULL, NULL, NULL, NULL, NULL)
+            `);
+          });
+
+          [
+            [ 'singular associations', () => Account.find().sort('name').populate('latest_entry') ],
+            [ 'collections',           () => Account.find().sort('name DESC').populate('entries') ],
+            [ 'findOne()',             () => Account.findOne({ name:'b' }).populate('entries').populate('latest_entry') ],
+            [ 'paginated queries',     () => Account.find().sort('name').after({ name:'a', id:2 }).populate('entries') ],
+          ].forEach(([ description, query ]) => {
+            it(`should match the default strategy for ${description}`, async () => {
+              // when
+              const joined = await query().meta(join);
+
+              // then
+              assert.deepEqual(joined, await query());
+            });
+          });
+
+          it('should decode values as node-postgres does', async () => {
+            // when
+            const [ account ] = await Account.find({ name:'b' }).populate('entries').meta(join);
+
+            // then
+            const [ entry ] = account.entries;
+            assert.strictEqual(entry.amount, '1.10');
+            assert.strictEqual(entry.big, '9007199254740993');
+            assert.instanceOf(entry.booked_at, Date);
+            assert.equal(entry.booked_at.toISOString(), '2020-01-02T03:04:05.678Z');
+            assert.instanceOf(entry.booked_on, Date);
+            assert.deepEqual(entry.tags, [ 'x', 'y z' ]);
+            assert.deepEqual(entry.details, { n:1 });
+            assert.equal(entry.unmodelled, 'extra');
+          });
+
+          it('should return parents in the order of the query', async () => {
+            // expect
+            assert.deepEqual((await Account.find().sort('name').populate('entries').meta(join)).map(a => a.name), [ 'a', 'b', 'c' ]);
+            assert.deepEqual((await Account.find().sort('name DESC').populate('entries').meta(join)).map(a => a.name), [ 'c', 'b', 'a' ]);
+          });
+        });
+
+        it('should use a single query', async () => {
+          // when
+          const queryCount = await countQueries(client => User.find()
+              .populate('best_pet')
+              .populate('pets')
+              .meta(join)
+              .usingConnection(client));
+
+          // then
+          assert.equal(queryCount, 1);
+        });
+
+        it('should reject nested populates', async () => {
+          try {
+            // when
+            await User.find().populate('pets.owners').meta(join);
+            assert.fail('should have thrown');
+          } catch(e) {
+            // then
+            assert.equal(e.message, 'Nested populate() is not supported with populateStrategy \'join\': pets.owners');
+          }
+        });
+
+        it('should reject unknown strategies', () => {
+          try {
+            // when
+            User.find().populate('pets').meta({ populateStrategy:'magic' });
+            assert.fail('should have thrown');
+          } catch(e) {
+            // then
+            assert.equal(e.message, 'Unrecognised populateStrategy: magic');
+          }
+        });
+      });
+    });
+
+    describe('with schemaName provided in meta()', () => {
+      const schemaName = 'my_schema';
+
+      beforeEach(async () => {
+        await dbQuery('DROP SCHEMA IF EXISTS my_schema CASCADE');
+        await dbQuery('CREATE SCHEMA my_schema');
+        await dbQuery(`CREATE TABLE my_schema.Post ( id SERIAL, title TEXT )`);
+        await dbQuery(`CREATE TABLE my_schema.Tag  ( id SERIAL, label TEXT )`);
+        await dbQuery(`CREATE TABLE my_schema.post_tags__tag_posts ( post_tags INT, tag_posts INT )`);
+        await dbQuery(`INSERT INTO my_schema.Post (title) VALUES ('other')`);
+        await dbQuery(`INSERT INTO my_schema.Tag (label) VALUES ('other')`);
+      });
+
+      it('should addToCollection() and populate()', async () => {
+        // when
+        await Post.addToCollection(1, 'tags', 1).meta({ schemaName });
+
+        // then
+        assert.deepEqual(await postTags(), []);
+        assert.deepEqual(await Post.find().populate('tags').meta({ schemaName }),
+            [ { id:1, title:'other', tags:[ { id:1, label:'other' } ] } ]);
+      });
+    });
+  });
+
+  describe('Custom primary keys', () => {
+    const UUID_V4 = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+    const UUID_V7 = /^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+    let City, Country, Event, Ticket;
+    let ticketCount;
+
+    beforeEach(async () => {
+      await dbQuery('DROP SCHEMA IF EXISTS public CASCADE');
+      await dbQuery('CREATE SCHEMA public');
+
+      await dbQuery(`CREATE TABLE Country ( code TEXT PRIMARY KEY, name TEXT )`);
+      await dbQuery(`CREATE TABLE City    ( uuid UUID PRIMARY KEY, name TEXT, country TEXT )`);
+      await dbQuery(`CREATE TABLE Event   ( id UUID PRIMARY KEY, name TEXT )`);
+      await dbQuery(`CREATE TABLE Ticket  ( ref TEXT PRIMARY KEY )`);
+
+      ticketCount = 0;
+
+      ({ City, Country, Event, Ticket } = plimsoll(pool, {
+        Country: {
+          primaryKey: 'code',
+          attributes: {
+            code:   { type:'string' },
+            name:   { type:'string' },
+            cities: { collection:'City', via:'country' },
+          },
+        },
+        City: {
+          primaryKey: 'uuid',
+          attributes: {
+            uuid:    { type:'string', autoGenerate:'uuidv4' },
+            name:    { type:'string' },
+            country: { model:'Country' },
+          },
+        },
+        Event: {
+          attributes: {
+            id:   { type:'string', autoGenerate:'uuidv7' },
+            name: { type:'string' },
+          },
+        },
+        Ticket: {
+          primaryKey: 'ref',
+          attributes: {
+            ref: { type:'string', autoGenerate:() => `T-${++ticketCount}` },
+          },
+        },
+      }).models);
+
+      await Country.createEach([ { code:'GH', name:'Ghana' }, { code:'KE', name:'Kenya' } ]);
+    });
+
+    it('should default the primary key to id', () => {
+      // expect
+      assert.equal(Event.primaryKey, 'id');
+      assert.equal(Country.primaryKey, 'code');
+    });
+
+    it('should reject a primary key which is not an attribute', () => {
+      try {
+        // when
+        plimsoll(pool, { Bad:{ primaryKey:'nope', attributes:{ id:{ type:'number' } } } });
+        assert.fail('should have thrown');
+      } catch(err) {
+        // then
+        assert.equal(err.message, 'Unrecognised attribute for model Bad: nope');
+      }
+    });
+
+    it('should reject an unsupported autoGenerate value', () => {
+      try {
+        // when
+        plimsoll(pool, { Bad:{ attributes:{ id:{ type:'string', autoGenerate:'uuidv1' } } } });
+        assert.fail('should have thrown');
+      } catch(err) {
+        // then
+        assert.equal(err.message, `Unsupported autoGenerate value for model Bad: 'uuidv1'`);
+      }
+    });
+
+    describe('with a natural key', () => {
+      it('should findOne() by primary key value', async () => {
+        // expect
+        assert.deepEqual(await Country.findOne('KE'), { code:'KE', name:'Kenya' });
+      });
+
+      it('should updateOne() by primary key value', async () => {
+        // when
+        const updated = await Country.updateOne('GH').set({ name:'Gold Coast' });
+
+        // then
+        assert.deepEqual(updated, { code:'GH', name:'Gold Coast' });
+        assert.deepEqual(await Country.find().sort('name'), [ { code:'GH', name:'Gold Coast' }, { code:'KE', name:'Kenya' } ]);
+      });
+
+      it('should update() by primary key value', async () => {
+        // when
+        await Country.update('KE').set({ name:'Kenya!' });
+
+        // then
+        assert.deepEqual(await Country.findOne({ code:'KE' }), { code:'KE', name:'Kenya!' });
+      });
+
+      it('should destroyOne() by primary key value', async () => {
+        // when
+        await Country.destroyOne('GH');
+
+        // then
+        assert.deepEqual(await Country.find(), [ { code:'KE', name:'Kenya' } ]);
+      });
+
+      it('should use the primary key as the default conflict target for createOrUpdate()', async () => {
+        // when
+        await Country.createOrUpdate({ code:'KE', name:'Jamhuri ya Kenya' });
+
+        // then
+        assert.deepEqual(await Country.find().sort('code'), [ { code:'GH', name:'Ghana' }, { code:'KE', name:'Jamhuri ya Kenya' } ]);
+      });
+
+      it('should use the primary key to break ties in keyset pagination', async () => {
+        // given
+        await Country.create({ code:'AA', name:'Ghana' });
+
+        // when
+        const page = await Country.find().sort('name').after({ name:'Ghana', code:'AA' });
+
+        // then
+        assert.deepEqual(page, [ { code:'GH', name:'Ghana' }, { code:'KE', name:'Kenya' } ]);
+      });
+    });
+
+    describe('with associations', () => {
+      let accra, nairobi;
+
+      beforeEach(async () => {
+        // given
+        accra   = await City.create({ name:'Accra',   country:'GH' }).fetch();
+        nairobi = await City.create({ name:'Nairobi', country:'KE' }).fetch();
+      });
+
+      [ 'query', 'join' ].forEach(populateStrategy => {
+        describe(`with populateStrategy '${populateStrategy}'`, () => {
+          it('should populate a singular association', async () => {
+            // when
+            const city = await City.findOne(accra.uuid).populate('country').meta({ populateStrategy });
+
+            // then
+            assert.deepEqual(city, { uuid:accra.uuid, name:'Accra', country:{ code:'GH', name:'Ghana' } });
+          });
+
+          it('should populate a collection association', async () => {
+            // when
+            const countries = await Country.find().sort('code').populate('cities').meta({ populateStrategy });
+
+            // then
+            assert.deepEqual(countries, [
+              { code:'GH', name:'Ghana', cities:[ accra ] },
+              { code:'KE', name:'Kenya', cities:[ nairobi ] },
+            ]);
+          });
+        });
+      });
+
+      it('should replaceCollection() by primary key', async () => {
+        // when
+        await Country.replaceCollection('GH', 'cities', [ nairobi.uuid ]);
+
+        // then
+        assert.deepEqual((await Country.findOne('GH').populate('cities')).cities.map(({ name }) => name), [ 'Nairobi' ]);
+        assert.deepEqual((await Country.findOne('KE').populate('cities')).cities, []);
+      });
+    });
+
+    describe('generated in JS', () => {
+      it('should generate a UUIDv4', async () => {
+        // when
+        const city = await City.create({ name:'Kumasi' }).fetch();
+
+        // then
+        assert.match(city.uuid, UUID_V4);
+      });
+
+      it('should generate UUIDv7s which sort in creation order', async () => {
+        // when
+        const events = [];
+        for(const name of [ 'a', 'b', 'c' ]) {
+          events.push(await Event.create({ name }).fetch());
+          await new Promise(resolve => setTimeout(resolve, 2));
+        }
+
+        // then
+        events.forEach(({ id }) => assert.match(id, UUID_V7));
+        assert.deepEqual((await Event.find().sort('id')).map(({ name }) => name), [ 'a', 'b', 'c' ]);
+      });
+
+      it('should generate a value per record for createEach()', async () => {
+        // when
+        const tickets = await Ticket.createEach([ {}, {} ]).fetch();
+
+        // then
+        assert.deepEqual(tickets, [ { ref:'T-1' }, { ref:'T-2' } ]);
+      });
+
+      it('should not override a supplied value', async () => {
+        // expect
+        assert.deepEqual(await Ticket.create({ ref:'VIP' }).fetch(), { ref:'VIP' });
+      });
+    });
+  });
+
+  describe('Column and table name mapping', () => {
+    let Member, Team;
+
+    beforeEach(async () => {
+      await dbQuery('DROP SCHEMA IF EXISTS public CASCADE');
+      await dbQuery('CREATE SCHEMA public');
+
+      await dbQuery(`CREATE TABLE legacy_teams   ( team_id SERIAL PRIMARY KEY, team_title TEXT )`);
+      await dbQuery(`CREATE TABLE legacy_members ( member_id SERIAL PRIMARY KEY, full_name TEXT, email_address TEXT UNIQUE,
+                                                   score INT, preferences JSONB, team_ref INT, created BIGINT )`);
+
+      ({ Member, Team } = plimsoll(pool, {
+        Team: {
+          tableName: 'legacy_teams',
+          attributes: {
+            id:      { type:'number', autoIncrement:true, columnName:'team_id' },
+            title:   { type:'string', columnName:'team_title' },
+            members: { collection:'Member', via:'team' },
+          },
+        },
+        Member: {
+          tableName: 'legacy_members',
+          attributes: {
+            id:        { type:'number', autoIncrement:true, columnName:'member_id' },
+            name:      { type:'string', columnName:'full_name' },
+            email:     { type:'string', columnName:'email_address' },
+            score:     { type:'number' },
+            prefs:     { type:'json', columnName:'preferences' },
+            team:      { model:'Team', columnName:'team_ref' },
+            createdAt: { type:'number', autoCreatedAt:true, columnName:'created' },
+          },
+        },
+      }).models);
+
+      await Team.createEach([ { title:'red' }, { title:'blue' } ]);
+      await Member.createEach([
+        { name:'alice', email:'alice@example.com', score:3, prefs:{ theme:'dark' }, team:1 },
+        { name:'bob',   email:'bob@example.com',   score:5, prefs:{ theme:'light' }, team:1 },
+        { name:'carol', email:'carol@example.com', score:7, prefs:{}, team:2 },
+      ]);
+    });
+
+    async function members() {
+      const { rows } = await dbQuery('SELECT member_id, full_name, email_address, team_ref FROM legacy_members ORDER BY member_id');
+      return rows;
+    }
+
+    const names = records => records.map(({ name }) => name);
+
+    it('should use tableName from the model definition', () => {
+      // expect
+      assert.equal(Member.tableName, 'legacy_members');
+      assert.equal(Member.identity,  'member');
+    });
+
+    it('should insert into mapped columns, and decode results to attribute names', async () => {
+      // when
+      const created = await Member.create({ name:'dave', email:'dave@example.com', score:1, prefs:{ a:1 } }).fetch();
+
+      // then
+      assert.deepInclude(created, { id:4, name:'dave', email:'dave@example.com', score:1, prefs:{ a:1 }, team:null });
+      assert.isAbove(Number(created.createdAt), 0);
+      assert.deepEqual((await members())[3], { member_id:4, full_name:'dave', email_address:'dave@example.com', team_ref:null });
+    });
+
+    it('should map criteria, sort and select', async () => {
+      // expect
+      assert.deepEqual(await Member.find({ where:{ or:[ { name:'alice' }, { email:{ endsWith:'bob@example.com' } } ] }, select:[ 'name' ], sort:'email DESC' }),
+          [ { name:'bob' }, { name:'alice' } ]);
+    });
+
+    it('should sort by json path within a mapped column', async () => {
+      // expect
+      assert.deepEqual(names(await Member.find().sort('prefs.theme DESC NULLS LAST')), [ 'bob', 'alice', 'carol' ]);
+    });
+
+    it('should findOne() by primary key value', async () => {
+      // expect
+      assert.equal((await Member.findOne(2)).name, 'bob');
+    });
+
+    it('should update() and updateOne() mapped columns', async () => {
+      // when
+      await Member.update({ name:'alice' }).set({ email:'a@example.com' });
+      const updated = await Member.updateOne(2).set({ name:'robert' });
+
+      // then
+      assert.equal(updated.name, 'robert');
+      assert.deepEqual((await members()).slice(0, 2), [
+        { member_id:1, full_name:'alice',  email_address:'a@example.com',   team_ref:1 },
+        { member_id:2, full_name:'robert', email_address:'bob@example.com', team_ref:1 },
+      ]);
+    });
+
+    it('should find by mapped criteria when update() has nothing to set', async () => {
+      // expect
+      assert.deepEqual(names(await Member.update({ name:'bob' }).set({}).fetch()), [ 'bob' ]);
+    });
+
+    it('should find by mapped criteria when updateOne() has nothing to set', async () => {
+      // expect
+      assert.equal((await Member.updateOne({ name:'bob' }).set({})).name, 'bob');
+    });
+
+    it('should destroy() and destroyOne() by mapped criteria', async () => {
+      // when
+      await Member.destroy({ name:'alice' });
+      await Member.destroyOne({ email:'bob@example.com' });
+
+      // then
+      assert.deepEqual((await members()).map(({ full_name }) => full_name), [ 'carol' ]);
+    });
+
+    it('should map aggregates', async () => {
+      // expect
+      assert.equal(await Member.count({ team:1 }), 2);
+      assert.equal(await Member.sum('score', { team:1 }), 8);
+      assert.deepEqual(await Member.aggregate({ groupBy:'team', sum:'score' }).sort('team'),
+          [ { team:1, sum:{ score:8 } }, { team:2, sum:{ score:7 } } ]);
+      assert.deepEqual(await Member.distinct('team').sort('team'), [ 1, 2 ]);
+    });
+
+    it('should use mapped sort keys for after()', async () => {
+      // expect
+      assert.deepEqual(names(await Member.find().sort('name DESC').after({ name:'bob', id:2 })), [ 'alice' ]);
+    });
+
+    it('should map createOrUpdate() conflict targets', async () => {
+      // when
+      await Member.createOrUpdate({ email:'bob@example.com', name:'bobby' }, { conflictTarget:'email' });
+
+      // then
+      assert.deepEqual(names(await Member.find().sort('id')), [ 'alice', 'bobby', 'carol' ]);
+    });
+
+    it('should name attributes in error footprints', async () => {
+      try {
+        // when
+        await Member.create({ email:'alice@example.com' }).intercept(err => err);
+        assert.fail('should have thrown');
+      } catch(err) {
+        // then
+        assert.deepEqual(err.footprint, { identity:'notUnique', keys:[ 'email' ] });
+      }
+    });
+
+    it('should stream mapped records', async () => {
+      // given
+      const streamed = [];
+
+      // when
+      await Member.stream({ score:{ '>':4 } }).sort('score').eachRecord(record => { streamed.push(record.name); });
+
+      // then
+      assert.deepEqual(streamed, [ 'bob', 'carol' ]);
+    });
+
+    it('should update collections by mapped columns', async () => {
+      // when
+      await Team.replaceCollection(2, 'members', [ 1, 3 ]);
+
+      // then
+      assert.deepEqual((await members()).map(({ team_ref }) => team_ref), [ 2, 1, 2 ]);
+    });
+
+    [ 'query', 'join' ].forEach(populateStrategy => {
+      describe(`with populateStrategy '${populateStrategy}'`, () => {
+        it('should populate a singular association', async () => {
+          // when
+          const member = await Member.findOne({ name:'carol' }).populate('team').meta({ populateStrategy });
+
+          // then
+          assert.deepEqual(member.team, { id:2, title:'blue' });
+        });
+
+        it('should populate a collection association with sub-criteria', async () => {
+          // when
+          const teams = await Team.find().sort('id').populate('members', { where:{ score:{ '<':6 } }, select:[ 'name' ], sort:'name DESC' }).meta({ populateStrategy });
+
+          // then
+          assert.deepEqual(teams, [
+            { id:1, title:'red',  members:[ { id:2, name:'bob' }, { id:1, name:'alice' } ] },
+            { id:2, title:'blue', members:[] },
+          ]);
+        });
+      });
+    });
+  });
+
+  describe('Lifecycle callbacks', () => {
+    let Account, calls, datastore;
+
+    beforeEach(async () => {
+      await dbQuery('DROP SCHEMA IF EXISTS public CASCADE');
+      await dbQuery('CREATE SCHEMA public');
+
+      await dbQuery(`CREATE TABLE Account ( id SERIAL, email TEXT, password TEXT )`);
+
+      calls = [];
+
+      datastore = plimsoll(pool, {
+        Account: {
+          attributes: {
+            id:       { type:'number', autoIncrement:true },
+            email:    { type:'string' },
+            password: { type:'string' },
+          },
+          beforeCreate: async (values, proceed, { connection }) => {
+            calls.push([ 'beforeCreate', { ...values }, !!connection ]);
+            if(values.password) {
+              values.password = `hashed:${values.password}`;
+            }
+          },
+          afterCreate: (record, proceed) => {
+            calls.push([ 'afterCreate', record ]);
+            proceed();
+          },
+          beforeUpdate: (values, proceed) => {
+            calls.push([ 'beforeUpdate', { ...values } ]);
+            if(values.email === 'invalid') {
+              return proceed(new Error('Invalid email'));
+            }
+            proceed();
+          },
+          afterUpdate: async record => {
+            calls.push([ 'afterUpdate', record ]);
+          },
+          beforeDestroy: criteria => {
+            calls.push([ 'beforeDestroy', criteria ]);
+          },
+          afterDestroy: async (record, proceed, { connection }) => {
+            calls.push([ 'afterDestroy', record, !!connection ]);
+          },
+        },
+      });
+
+      ({ Account } = datastore.models);
+    });
+
+    async function accounts() {
+      const { rows } = await dbQuery('SELECT * FROM Account ORDER BY id');
+      return rows;
+    }
+
+    describe('create()', () => {
+      it('should allow beforeCreate to modify values', async () => {
+        // when
+        await Account.create({ email:'a@example.com', password:'secret' });
+
+        // then
+        assert.deepEqual(await accounts(), [ { id:1, email:'a@example.com', password:'hashed:secret' } ]);
+      });
+
+      it('should call afterCreate with the new record, even without fetch()', async () => {
+        // when
+        const ret = await Account.create({ email:'a@example.com', password:'secret' });
+
+        // then
+        assert.deepEqual(ret.rows, []);
+        assert.deepEqual(calls, [
+          [ 'beforeCreate', { email:'a@example.com', password:'secret' }, false ],
+          [ 'afterCreate', { id:1, email:'a@example.com', password:'hashed:secret' } ],
+        ]);
+      });
+
+      it('should return the modified record with fetch()', async () => {
+        // expect
+        assert.deepEqual(await Account.create({ email:'a@example.com', password:'secret' }).fetch(),
+            { id:1, email:'a@example.com', password:'hashed:secret' });
+      });
+
+      it('should call callbacks for each record in createEach()', async () => {
+        // when
+        await Account.createEach([ { email:'a@example.com', password:'1' }, { email:'b@example.com', password:'2' } ]);
+
+        // then
+        assert.deepEqual(calls.map(([ name, values ]) => [ name, values.email ]), [
+          [ 'beforeCreate', 'a@example.com' ],
+          [ 'beforeCreate', 'b@example.com' ],
+          [ 'afterCreate', 'a@example.com' ],
+          [ 'afterCreate', 'b@example.com' ],
+        ]);
+        assert.deepEqual((await accounts()).map(({ password }) => password), [ 'hashed:1', 'hashed:2' ]);
+      });
+
+      it('should call create callbacks for findOrCreate()', async () => {
+        // when
+        await Account.findOrCreate({ email:'a@example.com' }, { email:'a@example.com', password:'secret' });
+
+        // then
+        assert.deepEqual(calls.map(([ name ]) => name), [ 'beforeCreate', 'afterCreate' ]);
+        assert.deepEqual((await accounts()).map(({ password }) => password), [ 'hashed:secret' ]);
+      });
+
+      it('should pass the connection supplied with usingConnection()', async () => {
+        // when
+        await datastore.transaction(tx => Account.create({ email:'a@example.com' }).usingConnection(tx));
+
+        // then
+        assert.equal(calls[0][2], true);
+      });
+
+      it('should skip callbacks with skipAllLifecycleCallbacks', async () => {
+        // when
+        await Account.create({ email:'a@example.com', password:'secret' }).meta({ skipAllLifecycleCallbacks:true });
+
+        // then
+        assert.deepEqual(calls, []);
+        assert.deepEqual(await accounts(), [ { id:1, email:'a@example.com', password:'secret' } ]);
+      });
+    });
+
+    describe('update()', () => {
+      beforeEach(async () => {
+        // given
+        await dbQuery(`INSERT INTO Account (email) VALUES ('a@example.com'), ('b@example.com'), ('c@example.com')`);
+      });
+
+      it('should call beforeUpdate once and afterUpdate for each updated record', async () => {
+        // when
+        const ret = await Account.update({ id:{ '<':3 } }).set({ password:'x' });
+
+        // then
+        assert.deepEqual(ret.rows, []);
+        assert.deepEqual(calls, [
+          [ 'beforeUpdate', { password:'x' } ],
+          [ 'afterUpdate', { id:1, email:'a@example.com', password:'x' } ],
+          [ 'afterUpdate', { id:2, email:'b@example.com', password:'x' } ],
+        ]);
+      });
+
+      it('should call callbacks for updateOne()', async () => {
+        // when
+        const ret = await Account.updateOne({ id:2 }).set({ password:'x' });
+
+        // then
+        assert.deepEqual(ret, { id:2, email:'b@example.com', password:'x' });
+        assert.deepEqual(calls.map(([ name ]) => name), [ 'beforeUpdate', 'afterUpdate' ]);
+      });
+
+      it('should not update if beforeUpdate fails', async () => {
+        try {
+          // when
+          await Account.updateOne({ id:2 }).set({ email:'invalid' });
+          assert.fail('should have thrown');
+        } catch(e) {
+          // then
+          assert.equal(e.message, 'Invalid email');
+        }
+        assert.equal((await accounts())[1].email, 'b@example.com');
+      });
+
+      it('should skip callbacks with skipAllLifecycleCallbacks', async () => {
+        // when
+        await Account.update({ id:1 }).meta({ skipAllLifecycleCallbacks:true }).set({ email:'invalid' });
+
+        // then
+        assert.deepEqual(calls, []);
+        assert.equal((await accounts())[0].email, 'invalid');
+      });
+    });
+
+    describe('destroy()', () => {
+      beforeEach(async () => {
+        // given
+        await dbQuery(`INSERT INTO Account (email) VALUES ('a@example.com'), ('b@example.com'), ('c@example.com')`);
+      });
+
+      it('should call beforeDestroy with criteria and afterDestroy with each destroyed record', async () => {
+        // when
+        const ret = await Account.destroy({ id:{ '>':1 } });
+
+        // then
+        assert.deepEqual(ret, []);
+        assert.deepEqual(calls, [
+          [ 'beforeDestroy', { id:{ '>':1 } } ],
+          [ 'afterDestroy', { id:2, email:'b@example.com', password:'' }, false ],
+          [ 'afterDestroy', { id:3, email:'c@example.com', password:'' }, false ],
+        ]);
+      });
+
+      it('should call callbacks for destroyOne(), using the supplied connection', async () => {
+        // when
+        await datastore.transaction(tx => Account.destroyOne({ id:1 }).usingConnection(tx));
+
+        // then
+        assert.deepEqual(calls, [
+          [ 'beforeDestroy', { id:1 } ],
+          [ 'afterDestroy', { id:1, email:'a@example.com', password:'' }, true ],
+        ]);
+        assert.equal((await accounts()).length, 2);
+      });
+
+      it('should skip callbacks with skipAllLifecycleCallbacks', async () => {
+        // when
+        await Account.destroy({}).meta({ skipAllLifecycleCallbacks:true });
+
+        // then
+        assert.deepEqual(calls, []);
+        assert.deepEqual(await accounts(), []);
+      });
+    });
+  });
+
+  describe('Validation', () => {
+    let Person;
+
+    beforeEach(async () => {
+      await dbQuery('DROP SCHEMA IF EXISTS public CASCADE');
+      await dbQuery('CREATE SCHEMA public');
+
+      await dbQuery(`CREATE TABLE Person ( id SERIAL, name TEXT, email TEXT, website TEXT, age INT, code TEXT, even INT, active BOOLEAN, prefs JSONB )`);
+
+      ({ Person } = plimsoll(pool, {
+        Person: {
+          attributes: {
+            id:      { type:'number', autoIncrement:true },
+            name:    { type:'string', required:true, minLength:2, maxLength:10 },
+            email:   { type:'string', isEmail:true },
+            website: { type:'string', validations:{ isURL:true } },
+            age:     { type:'number', isInteger:true, min:0, max:150 },
+            code:    { type:'string', regex:/^[A-Z]{3}$/ },
+            even:    { type:'number', custom:v => v % 2 === 0 },
+            active:  { type:'boolean' },
+            prefs:   { type:'json' },
+          },
+        },
+      }).models);
+    });
+
+    async function people() {
+      const { rows } = await dbQuery('SELECT id, name FROM Person ORDER BY id');
+      return rows;
+    }
+
+    it('should move rules into .validations', () => {
+      // expect
+      assert.deepEqual(Person.attributes.name, { type:'string', required:true, validations:{ minLength:2, maxLength:10 } });
+      assert.deepEqual(Person.attributes.website, { type:'string', validations:{ isURL:true } });
+    });
+
+    it('should reject an unrecognised rule in .validations', () => {
+      try {
+        // when
+        plimsoll(pool, { Bad:{ attributes:{ name:{ type:'string', validations:{ minLenght:2 } } } } });
+        assert.fail('should have thrown');
+      } catch(err) {
+        // then
+        assert.equal(err.message, 'Unrecognised validation rule for model Bad, attribute name: minLenght');
+      }
+    });
+
+    it('should accept a valid record', async () => {
+      // when
+      await Person.create({ name:'alice', email:'alice@example.com', website:'https://example.com/alice', age:30,
+          code:'ABC', even:4, active:true, prefs:{ any:'thing' } });
+
+      // then
+      assert.deepEqual(await people(), [ { id:1, name:'alice' } ]);
+    });
+
+    it('should not check rules for empty values', async () => {
+      // when
+      await Person.create({ name:'bob', email:'', website:null });
+
+      // then
+      assert.deepEqual(await people(), [ { id:1, name:'bob' } ]);
+    });
+
+    it('should list every failing attribute and rule for a new record', async () => {
+      try {
+        // when
+        await Person.create({ email:'not-an-email', website:'not a url', age:-1.5, code:'abc', even:3, active:'yes' });
+        assert.fail('should have thrown');
+      } catch(err) {
+        // then
+        assert.equal(err.name, 'UsageError');
+        assert.equal(err.code, 'E_INVALID_NEW_RECORD');
+        assert.equal(err.modelIdentity, 'person');
+        assert.deepEqual(err.invalidAttributes, {
+          name:    [ { rule:'required',  message:'Value is required' } ],
+          email:   [ { rule:'isEmail',   message:'Value should be a valid email address' } ],
+          website: [ { rule:'isURL',     message:'Value should be a valid URL' } ],
+          age:     [ { rule:'isInteger', message:'Value should be an integer' },
+                     { rule:'min',       message:'Value should be no less than 0' } ],
+          code:    [ { rule:'regex',     message:'Value should match /^[A-Z]{3}$/' } ],
+          even:    [ { rule:'custom',    message:'Value failed custom validation' } ],
+          active:  [ { rule:'type',      message:'Value should be of type boolean' } ],
+        });
+        assert.include(err.message, 'Could not use specified `website`.  Value should be a valid URL.');
+      }
+      assert.deepEqual(await people(), []);
+    });
+
+    it('should validate each record for createEach()', async () => {
+      try {
+        // when
+        await Person.createEach([ { name:'alice' }, { name:'b' } ]);
+        assert.fail('should have thrown');
+      } catch(err) {
+        // then
+        assert.equal(err.code, 'E_INVALID_NEW_RECORD');
+        assert.deepEqual(err.invalidAttributes, { name:[ { rule:'minLength', message:'Value should be at least 2 characters long' } ] });
+      }
+    });
+
+    it('should reject rather than throw, so that intercept() applies', async () => {
+      // when
+      const query = Person.create({ name:'b' });
+      const err = await query.intercept('E_INVALID_NEW_RECORD', err => new Error(`Bad ${Object.keys(err.invalidAttributes)}`))
+        .then(() => assert.fail('should have rejected'), err => err);
+
+      // then
+      assert.equal(err.message, 'Bad name');
+    });
+
+    it('should be tolerable', async () => {
+      // when
+      const result = await Person.create({ name:'b' }).tolerate('E_INVALID_NEW_RECORD', () => 'tolerated');
+
+      // then
+      assert.equal(result, 'tolerated');
+      assert.deepEqual(await people(), []);
+    });
+
+    describe('for update()', () => {
+      beforeEach(async () => {
+        // given
+        await Person.create({ name:'alice' });
+      });
+
+      it('should only check supplied values', async () => {
+        // when
+        await Person.update({ id:1 }).set({ age:150 });
+
+        // then
+        const { rows } = await dbQuery('SELECT age FROM Person');
+        assert.deepEqual(rows, [ { age:150 } ]);
+      });
+
+      [
+        [ 'update()',    () => Person.update({ id:1 }) ],
+        [ 'updateOne()', () => Person.updateOne({ id:1 }) ],
+      ].forEach(([ description, query ]) => {
+        it(`should throw E_INVALID_VALUES_TO_SET for ${description}`, async () => {
+          try {
+            // when
+            await query().set({ name:'', age:151, email:'x' });
+            assert.fail('should have thrown');
+          } catch(err) {
+            // then
+            assert.equal(err.code, 'E_INVALID_VALUES_TO_SET');
+            assert.deepEqual(err.invalidAttributes, {
+              name:  [ { rule:'required', message:'Value is required' } ],
+              email: [ { rule:'isEmail',  message:'Value should be a valid email address' } ],
+              age:   [ { rule:'max',      message:'Value should be no greater than 150' } ],
+            });
+          }
+        });
+
+        it(`should let ${description} be tolerated`, async () => {
+          // when
+          const result = await query().set({ age:151 }).tolerate('E_INVALID_VALUES_TO_SET', () => 'tolerated');
+
+          // then
+          assert.equal(result, 'tolerated');
+          const { rows } = await dbQuery('SELECT age FROM Person');
+          assert.deepEqual(rows, [ { age:0 } ]);
+        });
+      });
+    });
+
+    describe('Model.validate()', () => {
+      it('should return a valid value', () => {
+        // expect
+        assert.equal(Person.validate('email', 'alice@example.com'), 'alice@example.com');
+      });
+
+      [
+        [ 'name',    null,        'required' ],
+        [ 'name',    'abcdefghijk', 'maxLength' ],
+        [ 'age',     '30',        'type' ],
+        [ 'website', 'http://',   'isURL' ],
+      ].forEach(([ attr, value, rule ]) => {
+        it(`should throw for an invalid ${attr}: ${value}`, () => {
+          try {
+            // when
+            Person.validate(attr, value);
+            assert.fail('should have thrown');
+          } catch(err) {
+            // then
+            assert.equal(err.code, 'E_VIOLATES_RULES');
+            assert.deepEqual(err.invalidAttributes[attr].map(({ rule }) => rule), [ rule ]);
+          }
+        });
+      });
+
+      it('should throw for an unrecognised attribute', () => {
+        try {
+          // when
+          Person.validate('nonsense', 1);
+          assert.fail('should have thrown');
+        } catch(err) {
+          // then
+          assert.equal(err.message, 'Unrecognised attribute for model Person: nonsense');
+        }
+      });
+    });
+  });
+
+  describe('Error handling', () => {
+    let datastore, Owner, Pet;
+
+    beforeEach(async () => {
+      await dbQuery('DROP SCHEMA IF EXISTS public CASCADE');
+      await dbQuery('CREATE SCHEMA public');
+
+      await dbQuery(`CREATE TABLE Owner ( id SERIAL PRIMARY KEY, email TEXT UNIQUE, age INT CHECK (age >= 0), nickname TEXT NOT NULL DEFAULT 'x' )`);
+      await dbQuery(`CREATE TABLE Pet   ( id SERIAL PRIMARY KEY, name TEXT, owner INT REFERENCES Owner (id) )`);
+
+      datastore = plimsoll(pool, {
+        Owner: {
+          attributes: {
+            id:       { type:'number', autoIncrement:true },
+            email:    { type:'string' },
+            age:      { type:'number', allowNull:true },
+            nickname: { type:'ref' },
+            pets:     { collection:'Pet', via:'owner' },
+          },
+        },
+        Pet: {
+          attributes: {
+            id:    { type:'number', autoIncrement:true },
+            name:  { type:'string' },
+            owner: { model:'Owner' },
+          },
+        },
+      });
+      ({ Owner, Pet } = datastore.models);
+
+      await Owner.create({ email:'a@example.com', nickname:'a' });
+    });
+
+    async function interceptedError(query) {
+      try {
+        await query.intercept(err => err);
+      } catch(err) {
+        return err;
+      }
+      assert.fail('should have thrown');
+    }
+
+    [
+      [ 'unique',      () => Owner.create({ email:'a@example.com', nickname:'b' }),   '23505', 'E_UNIQUE',      'notUnique',      [ 'email' ] ],
+      [ 'check',       () => Owner.create({ email:'b@example.com', age:-1, nickname:'b' }), '23514', 'E_CHECK', 'checkViolation', [ 'age' ] ],
+      [ 'not-null',    () => Owner.create({ email:'b@example.com', nickname:null }),  '23502', 'E_NOT_NULL',    'notNull',        [ 'nickname' ] ],
+      [ 'foreign key', () => Pet.create({ name:'rex', owner:99 }),                   '23503', 'E_FOREIGN_KEY', 'foreignKey',     [ 'owner' ] ],
+    ].forEach(([ description, query, pgCode, adapterCode, identity, keys ]) => {
+      it(`should name ${description} violations`, async () => {
+        // when
+        const err = await interceptedError(query());
+
+        // then
+        assert.equal(err.code, pgCode);
+        assert.equal(err.adapterCode, adapterCode);
+        assert.deepEqual(err.footprint, { identity, keys });
+      });
+    });
+
+    it('should pass intercept() handlers the original postgres error', async () => {
+      // when
+      const err = await interceptedError(Owner.create({ email:'a@example.com', nickname:'b' }));
+
+      // then
+      assert.equal(err.code, '23505');
+      assert.equal(err.constraint, 'owner_email_key');
+      assert.equal(err.adapterCode, 'E_UNIQUE');
+      assert.equal(err.modelIdentity, 'owner');
+    });
+
+    it('should name foreign key violations when destroying a referenced record', async () => {
+      // given
+      await Pet.create({ name:'rex', owner:1 });
+
+      // when
+      const err = await interceptedError(Owner.destroy({ id:1 }));
+
+      // then
+      assert.equal(err.adapterCode, 'E_FOREIGN_KEY');
+      assert.deepEqual(err.footprint, { identity:'foreignKey', keys:[ 'id' ] });
+    });
+
+    it('should reject with the original error if not intercepted', async () => {
+      try {
+        // when
+        await Owner.create({ email:'a@example.com', nickname:'b' });
+        assert.fail('should have thrown');
+      } catch(err) {
+        // then
+        assert.equal(err.code, '23505');
+      }
+    });
+
+    describe('intercept()', () => {
+      it('should intercept by error code', async () => {
+        try {
+          // when
+          await Owner.create({ email:'a@example.com', nickname:'b' })
+            .intercept('E_NOT_NULL', () => new Error('wrong'))
+            .intercept('E_UNIQUE', err => new Error(`Already in use: ${err.footprint.keys}`));
+          assert.fail('should have thrown');
+        } catch(err) {
+          // then
+          assert.equal(err.message, 'Already in use: email');
+        }
+      });
+
+      it('should intercept by filter object', async () => {
+        try {
+          // when
+          await Owner.create({ email:'a@example.com', nickname:'b' })
+            .intercept({ footprint:{ keys:[ 'nickname' ] } }, () => new Error('wrong'))
+            .intercept({ code:'E_UNIQUE', footprint:{ keys:[ 'email' ] } }, () => new Error('Email already in use'));
+          assert.fail('should have thrown');
+        } catch(err) {
+          // then
+          assert.equal(err.message, 'Email already in use');
+        }
+      });
+
+      it('should reject with a string handler', async () => {
+        try {
+          // when
+          await Owner.create({ email:'a@example.com', nickname:'b' }).intercept('E_UNIQUE', 'emailAlreadyInUse');
+          assert.fail('should have thrown');
+        } catch(err) {
+          // then
+          assert.equal(err, 'emailAlreadyInUse');
+        }
+      });
+
+      it('should intercept any error with a catch-all function', async () => {
+        try {
+          // when
+          await datastore.sendNativeQuery('SELECT nonsense').intercept(err => new Error(`Caught: ${err.code}`));
+          assert.fail('should have thrown');
+        } catch(err) {
+          // then
+          assert.equal(err.message, 'Caught: 42703');
+        }
+      });
+
+      it('should not intercept non-matching errors', async () => {
+        try {
+          // when
+          await Owner.create({ email:'a@example.com', nickname:'b' }).intercept('E_CHECK', () => new Error('wrong'));
+          assert.fail('should have thrown');
+        } catch(err) {
+          // then
+          assert.equal(err.code, '23505');
+        }
+      });
+
+      it('should reject unexpected filters', () => {
+        try {
+          // when
+          Owner.create({ email:'b@example.com', nickname:'b' }).intercept(23505, () => new Error('wrong'));
+          assert.fail('should have thrown');
+        } catch(err) {
+          // then
+          assert.equal(err.message, `Unexpected error filter: '23505'`);
+        }
+      });
+    });
+
+    describe('tolerate()', () => {
+      it('should resolve with undefined when no handler is supplied', async () => {
+        // expect
+        assert.isUndefined(await Owner.create({ email:'a@example.com', nickname:'b' }).fetch().tolerate('E_UNIQUE'));
+      });
+
+      it("should resolve with the handler's return value", async () => {
+        // when
+        const ret = await Owner.create({ email:'a@example.com', nickname:'b' }).fetch()
+          .tolerate({ code:'E_UNIQUE' }, err => ({ duplicate:err.footprint.keys }));
+
+        // then
+        assert.deepEqual(ret, { duplicate:[ 'email' ] });
+      });
+
+      it('should tolerate any error with a catch-all function', async () => {
+        // expect
+        assert.equal(await datastore.sendNativeQuery('SELECT nonsense').tolerate(() => 'tolerated'), 'tolerated');
+      });
+
+      it('should not tolerate non-matching errors', async () => {
+        try {
+          // when
+          await Owner.create({ email:'a@example.com', nickname:'b' }).tolerate('E_FOREIGN_KEY');
+          assert.fail('should have thrown');
+        } catch(err) {
+          // then
+          assert.equal(err.code, '23505');
+        }
+      });
+
+      it('should roll back compound queries before tolerating', async () => {
+        // given
+        await Pet.create({ name:'rex', owner:1 });
+
+        // when
+        const ret = await Owner.replaceCollection(99, 'pets', [ 1 ]).tolerate('E_FOREIGN_KEY', () => 'tolerated');
+
+        // then
+        assert.equal(ret, 'tolerated');
+        assert.deepEqual(await Pet.find(), [ { id:1, name:'rex', owner:1 } ]);
+      });
+    });
+  });
+
+  describe('verifySchema()', () => {
+    const models = () => ({
+      Author: {
+        attributes: {
+          id:    { type:'number', autoIncrement:true },
+          name:  { type:'string' },
+          bio:   { type:'json' },
+          email: { type:'string', columnName:'email_address', columnType:'varchar(200)' },
+          books: { collection:'Book', via:'author' },
+        },
+      },
+      Book: {
+        attributes: {
+          id:     { type:'number', autoIncrement:true },
+          title:  { type:'string' },
+          author: { model:'Author' },
+        },
+      },
+    });
+
+    beforeEach(async () => {
+      await dbQuery('DROP SCHEMA IF EXISTS public CASCADE');
+      await dbQuery('CREATE SCHEMA public');
+
+      await dbQuery(`CREATE TABLE Author ( id SERIAL PRIMARY KEY, name TEXT NOT NULL, bio JSONB, email_address VARCHAR(200) )`);
+      await dbQuery(`CREATE TABLE Book   ( id SERIAL PRIMARY KEY, title TEXT, author INT )`);
+    });
+
+    it('should report no differences for a matching schema', async () => {
+      // when
+      const diff = await plimsoll(pool, models()).verifySchema();
+
+      // then
+      assert.deepEqual(diff, []);
+    });
+
+    it('should report missing tables', async () => {
+      // given
+      await dbQuery('DROP TABLE Book');
+
+      // when
+      const diff = await plimsoll(pool, models()).verifySchema();
+
+      // then
+      assert.deepEqual(diff, [ { model:'Book', table:'book', problem:'missingTable' } ]);
+    });
+
+    it('should report missing columns', async () => {
+      // given
+      await dbQuery('ALTER TABLE Author DROP COLUMN email_address');
+
+      // when
+      const diff = await plimsoll(pool, models()).verifySchema();
+
+      // then
+      assert.deepEqual(diff, [
+        { model:'Author', table:'author', problem:'missingColumn', attribute:'email', column:'email_address' },
+      ]);
+    });
+
+    it('should report columns which cannot hold the attribute type', async () => {
+      // given
+      await dbQuery('ALTER TABLE Book ALTER COLUMN title TYPE INT USING 0');
+      await dbQuery('ALTER TABLE Book ALTER COLUMN author TYPE TEXT');
+
+      // when
+      const diff = await plimsoll(pool, models()).verifySchema();
+
+      // then
+      assert.deepEqual(diff, [
+        { model:'Book', table:'book', problem:'typeMismatch', attribute:'title', column:'title',
+          expected:[ 'character', 'character varying', 'text', 'USER-DEFINED', 'uuid' ], actual:'integer' },
+        { model:'Book', table:'book', problem:'typeMismatch', attribute:'author', column:'author',
+          expected:[ 'bigint', 'double precision', 'integer', 'numeric', 'real', 'smallint' ], actual:'text' },
+      ]);
+    });
+
+    it('should compare columnType with the column type', async () => {
+      // given
+      const withColumnTypes = models();
+      withColumnTypes.Author.attributes.id.columnType  = 'serial';
+      withColumnTypes.Author.attributes.bio.columnType = 'json';
+
+      // when
+      const diff = await plimsoll(pool, withColumnTypes).verifySchema();
+
+      // then
+      assert.deepEqual(diff, [
+        { model:'Author', table:'author', problem:'typeMismatch', attribute:'bio', column:'bio', expected:[ 'json' ], actual:'jsonb' },
+      ]);
+    });
+
+    it('should report NOT NULL columns for attributes which may be null', async () => {
+      // given
+      await dbQuery('ALTER TABLE Author ALTER COLUMN bio SET NOT NULL');
+      await dbQuery('ALTER TABLE Book   ALTER COLUMN title SET NOT NULL');
+      await dbQuery('ALTER TABLE Book   ALTER COLUMN author SET NOT NULL');
+      const withAllowNull = models();
+      withAllowNull.Book.attributes.title.allowNull = true;
+
+      // when
+      const diff = await plimsoll(pool, withAllowNull).verifySchema();
+
+      // then
+      assert.deepEqual(diff, [
+        { model:'Author', table:'author', problem:'nullability', attribute:'bio',    column:'bio',    expected:'NULL', actual:'NOT NULL' },
+        { model:'Book',   table:'book',   problem:'nullability', attribute:'title',  column:'title',  expected:'NULL', actual:'NOT NULL' },
+        { model:'Book',   table:'book',   problem:'nullability', attribute:'author', column:'author', expected:'NULL', actual:'NOT NULL' },
+      ]);
+    });
+
+    it('should not report NOT NULL columns for required attributes', async () => {
+      // given
+      await dbQuery('ALTER TABLE Book ALTER COLUMN author SET NOT NULL');
+      const withRequired = models();
+      withRequired.Book.attributes.author.required = true;
+
+      // when
+      const diff = await plimsoll(pool, withRequired).verifySchema();
+
+      // then
+      assert.deepEqual(diff, []);
+    });
+
+    it('should report a missing or different primary key', async () => {
+      // given
+      await dbQuery('ALTER TABLE Author DROP CONSTRAINT author_pkey');
+      await dbQuery('ALTER TABLE Book   DROP CONSTRAINT book_pkey');
+      await dbQuery('ALTER TABLE Book   ADD PRIMARY KEY (id, title)');
+
+      // when
+      const diff = await plimsoll(pool, models()).verifySchema();
+
+      // then
+      assert.deepEqual(diff, [
+        { model:'Author', table:'author', problem:'primaryKey', expected:[ 'id' ], actual:[] },
+        { model:'Book',   table:'book',   problem:'primaryKey', expected:[ 'id' ], actual:[ 'id', 'title' ] },
+      ]);
+    });
+
+    it('should verify join tables of many-to-many associations', async () => {
+      // given
+      const manyToMany = {
+        Post: { attributes:{ id:{ type:'number' }, tags:{ collection:'Tag', via:'posts' } } },
+        Tag:  { attributes:{ id:{ type:'number' }, posts:{ collection:'Post', via:'tags' } } },
+      };
+      await dbQuery(`CREATE TABLE Post ( id SERIAL PRIMARY KEY )`);
+      await dbQuery(`CREATE TABLE Tag  ( id SERIAL PRIMARY KEY )`);
+
+      // when
+      const missingTable = await plimsoll(pool, manyToMany).verifySchema();
+
+      // then
+      assert.deepEqual(missingTable, [ { model:'Post', table:'post_tags__tag_posts', problem:'missingTable' } ]);
+
+      // given
+      await dbQuery(`CREATE TABLE post_tags__tag_posts ( post_tags INT )`);
+
+      // when
+      const missingColumn = await plimsoll(pool, manyToMany).verifySchema();
+
+      // then
+      assert.deepEqual(missingColumn, [ { model:'Post', table:'post_tags__tag_posts', problem:'missingColumn', column:'tag_posts' } ]);
+    });
+
+    it('should verify against the supplied schemaName', async () => {
+      // given
+      await dbQuery('DROP SCHEMA IF EXISTS my_schema CASCADE');
+      await dbQuery('CREATE SCHEMA my_schema');
+      await dbQuery(`CREATE TABLE my_schema.Author ( id SERIAL PRIMARY KEY, name TEXT, bio JSONB, email_address VARCHAR(200) )`);
+
+      // when
+      const diff = await plimsoll(pool, models()).verifySchema({ schemaName:'my_schema' });
+
+      // then
+      assert.deepEqual(diff, [ { model:'Book', table:'book', problem:'missingTable' } ]);
+    });
+  });
+
+  describe('Query events', () => {
+    let datastore, events, Owner, Pet;
+
+    const listen = (...eventNames) => eventNames.forEach(eventName => {
+      datastore.on(eventName, event => events.push({ eventName, ...event }));
+    });
+
+    beforeEach(async () => {
+      await dbQuery('DROP SCHEMA IF EXISTS public CASCADE');
+      await dbQuery('CREATE SCHEMA public');
+
+      await dbQuery(`CREATE TABLE Owner ( id SERIAL PRIMARY KEY, name TEXT )`);
+      await dbQuery(`CREATE TABLE Pet   ( id SERIAL PRIMARY KEY, name TEXT, owner INT )`);
+
+      datastore = plimsoll(pool, {
+        Owner: {
+          attributes: {
+            id:   { type:'number', autoIncrement:true },
+            name: { type:'string' },
+            pets: { collection:'Pet', via:'owner' },
+          },
+        },
+        Pet: {
+          attributes: {
+            id:    { type:'number', autoIncrement:true },
+            name:  { type:'string' },
+            owner: { model:'Owner' },
+          },
+        },
+      });
+      ({ Owner, Pet } = datastore.models);
+
+      events = [];
+    });
+
+    it('should report the start and success of native queries', async () => {
+      // given
+      listen('queryStart', 'querySuccess', 'queryError');
+
+      // when
+      await datastore.sendNativeQuery('SELECT $1::int AS a, $2::int AS b', [ 1, 2 ]);
+
+      // then
+      assert.equal(events.length, 2);
+      const [ start, success ] = events;
+      const expected = { sql:'SELECT $1::int AS a, $2::int AS b', params:[ 1, 2 ], paramCount:2, model:undefined, method:'sendNativeQuery', schemaName:'public' };
+      assert.deepEqual(start, { eventName:'queryStart', ...expected });
+      assert.deepInclude(success, { eventName:'querySuccess', ...expected, rowCount:1 });
+      assert.isAtLeast(success.duration, 0);
+    });
+
+    it('should report the model and method of model queries', async () => {
+      // given
+      listen('querySuccess');
+
+      // when
+      await Owner.create({ name:'alice' });
+      await Owner.createEach([ { name:'bob' } ]);
+      await Owner.find({ name:'alice' });
+      await Owner.findOne({ name:'alice' });
+      await Owner.count();
+      await Owner.update({ name:'bob' }).set({ name:'bobby' });
+      await Owner.destroy({ name:'bobby' });
+
+      // then
+      assert.deepEqual(events.map(({ model, method, rowCount }) => [ model, method, rowCount ]), [
+        [ 'Owner', 'create',     1 ],
+        [ 'Owner', 'createEach', 1 ],
+        [ 'Owner', 'find',       1 ],
+        [ 'Owner', 'findOne',    1 ],
+        [ 'Owner', 'count',      1 ],
+        [ 'Owner', 'update',     1 ],
+        [ 'Owner', 'destroy',    1 ],
+      ]);
+      assert.deepEqual(events[2].params, [ 'alice' ]);
+    });
+
+    it('should report populate queries', async () => {
+      // given
+      await Owner.create({ name:'alice' });
+      await Pet.create({ name:'rex', owner:1 });
+      listen('querySuccess');
+
+      // when
+      await Owner.find().populate('pets');
+
+      // then
+      assert.deepEqual(events.map(({ model, method, rowCount }) => [ model, method, rowCount ]), [
+        [ 'Owner', 'find',     1 ],
+        [ 'Pet',   'populate', 1 ],
+      ]);
+    });
+
+    it('should report the schemaName from meta()', async () => {
+      // given
+      listen('queryStart');
+
+      // when
+      await Owner.find().meta({ schemaName:'public' });
+      await datastore.sendNativeQuery('SELECT 1').meta({ schemaName:'other' });
+
+      // then
+      assert.deepEqual(events.map(({ schemaName }) => schemaName), [ 'public', 'other' ]);
+    });
+
+    it('should report failed queries', async () => {
+      // given
+      listen('querySuccess', 'queryError');
+
+      // when
+      try {
+        await datastore.sendNativeQuery('SELECT * FROM no_such_table');
+        assert.fail('should have thrown');
+      } catch(err) {
+        assert.equal(err.message, 'relation "no_such_table" does not exist');
+      }
+
+      // then
+      assert.equal(events.length, 1);
+      assert.equal(events[0].eventName, 'queryError');
+      assert.equal(events[0].error.message, 'relation "no_such_table" does not exist');
+      assert.isAtLeast(events[0].duration, 0);
+    });
+
+    it('should stop reporting to removed listeners', async () => {
+      // given
+      const listener = event => events.push(event);
+      datastore.on('querySuccess', listener);
+      await datastore.sendNativeQuery('SELECT 1');
+
+      // when
+      datastore.off('querySuccess', listener);
+      await datastore.sendNativeQuery('SELECT 1');
+
+      // then
+      assert.equal(events.length, 1);
+    });
+
+    it('should not fail queries if a listener throws', async () => {
+      // given
+      datastore.on('querySuccess', () => { throw new Error('broken listener'); });
+      const warning = new Promise(resolve => process.once('warning', resolve));
+
+      // when
+      const { rows } = await datastore.sendNativeQuery('SELECT 1 AS n');
+
+      // then
+      assert.deepEqual(rows, [ { n:1 } ]);
+      assert.include((await warning).message, 'broken listener');
+    });
+
+    describe('logSlowQueries()', () => {
+      let logged;
+      const log = (message, details) => logged.push({ message, details });
 
-        it('should be thennable', () => {
-          // given
-          const updater = Simple.update(-1).set({});
+      beforeEach(() => {
+        logged = [];
+      });
 
-          // expect
-          assert.isFunction(updater.then);
-        });
+      it('should log queries slower than the threshold, with redacted params', async () => {
+        // given
+        datastore.logSlowQueries({ threshold:40, log });
 
-        it('should allow transactions', () => {
-          // given
-          const updater = Simple.update(-1).set({});
+        // when
+        await datastore.sendNativeQuery('SELECT $1::text AS secret', [ 'hunter2' ]);
+        await datastore.sendNativeQuery('SELECT pg_sleep(0.05), $1::text AS secret', [ 'hunter2' ]);
 
-          // expect
-          assert.isFunction(updater.usingConnection);
+        // then
+        assert.equal(logged.length, 1);
+        const [ { message, details } ] = logged;
+        assert.match(message, /^plimsoll: slow query \(\d+ms\)$/);
+        assert.deepInclude(details, {
+          model:      undefined,
+          method:     'sendNativeQuery',
+          schemaName: 'public',
+          sql:        'SELECT pg_sleep(0.05), $1::text AS secret',
+          params:     [ '[REDACTED]' ],
+          rowCount:   1,
         });
+        assert.isAtLeast(details.duration, 40);
+      });
 
-        it('should return matched values if requested', async () => {
-          // given
-          await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+      it('should log params without redaction if disabled', async () => {
+        // given
+        datastore.logSlowQueries({ threshold:0, redact:false, log });
 
-          // when
-          const matched = await Simple
-              .update({ name:'alice' })
-              .set({})
-              .fetch();
+        // when
+        await Owner.find({ name:'alice' });
 
-          // then
-          assert.deepEqual(matched, [ { id:1, name:'alice' } ]);
-        });
+        // then
+        assert.deepInclude(logged[0].details, { model:'Owner', method:'find', params:[ 'alice' ] });
       });
 
-      it('should update a single row', async () => {
+      it('should redact params with a supplied function', async () => {
         // given
-        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+        datastore.logSlowQueries({ threshold:0, redact:(param, i) => i === 0 ? param : '***', log });
 
         // when
-        await Simple.update(1).set({ name:'charlie' });
+        await datastore.sendNativeQuery('SELECT $1::text, $2::text', [ 'public', 'secret' ]);
 
         // then
-        const { rows } = await dbQuery('SELECT * FROM Simple ORDER BY id');
-        assert.deepEqual(rows, [ { id:1, name:'charlie' }, { id:2, name:'bob' } ]);
+        assert.deepEqual(logged[0].details.params, [ 'public', '***' ]);
       });
 
-      it('should update multiple rows', async () => {
+      it('should log failed slow queries', async () => {
         // given
-        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+        datastore.logSlowQueries({ threshold:0, log });
 
         // when
-        await Simple.update({}).set({ name:'charlie' });
+        await datastore.sendNativeQuery('SELECT * FROM no_such_table').tolerate(() => {});
 
         // then
-        const { rows } = await dbQuery('SELECT * FROM Simple ORDER BY id');
-        assert.deepEqual(rows, [ { id:1, name:'charlie' }, { id:2, name:'charlie' } ]);
+        assert.equal(logged[0].details.error, 'relation "no_such_table" does not exist');
       });
 
-      it('should update multiple rows for an array of IDs', async () => {
+      it('should require a log function', () => {
+        // expect
+        assert.throws(() => datastore.logSlowQueries({ threshold:0 }), 'logSlowQueries() requires a log function.');
+      });
+
+      it('should stop logging when the returned function is called', async () => {
         // given
-        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+        const stop = datastore.logSlowQueries({ threshold:0, log });
 
         // when
-        await Simple.update({ id:[1, 2 ] }).set({ name:'charlie' });
+        stop();
+        await datastore.sendNativeQuery('SELECT 1');
 
         // then
-        const { rows } = await dbQuery('SELECT * FROM Simple ORDER BY id');
-        assert.deepEqual(rows, [ { id:1, name:'charlie' }, { id:2, name:'charlie' } ]);
+        assert.deepEqual(logged, []);
       });
     });
+  });
 
-    describe('updateOne()', () => {
-      describe('for an empty update object', () => {
-        it('should not throw', async () => {
-          // expect
-          await Simple.updateOne(-1).set({});
-        });
+  describe('Query timeouts and cancellation', () => {
+    let datastore, Simple;
 
-        it('should be thennable', () => {
+    const rejectionOf = async promise => {
+      try {
+        await promise;
+      } catch(err) {
+        return err;
+      }
+      assert.fail('should have rejected');
+    };
+
+    // Holds an exclusive lock on the simple table until the returned function is called.
+    const lockSimpleTable = async () => {
+      const client = await pool.connect();
+      await client.query('BEGIN');
+      await client.query('LOCK TABLE simple IN ACCESS EXCLUSIVE MODE');
+      return async () => {
+        await client.query('ROLLBACK');
+        client.release();
+      };
+    };
+
+    beforeEach(async () => {
+      await dbQuery('DROP SCHEMA IF EXISTS public CASCADE');
+      await dbQuery('CREATE SCHEMA public');
+      await dbQuery(`CREATE TABLE Simple ( id SERIAL PRIMARY KEY, name TEXT )`);
+
+      datastore = plimsoll(pool, {
+        Simple: {
+          attributes: {
+            id:   { type:'number', autoIncrement:true },
+            name: { type:'string' },
+          },
+        },
+      });
+      ({ Simple } = datastore.models);
+    });
+
+    describe('timeout()', () => {
+      it('should reject a query which takes too long', async () => {
+        // when
+        const err = await rejectionOf(datastore.sendNativeQuery('SELECT pg_sleep(5)').timeout(50));
+
+        // then
+        assert.equal(err.name, 'TimeoutError');
+        assert.equal(err.code, 'E_QUERY_TIMEOUT');
+        assert.equal(err.message, 'Query timed out after 50ms.');
+        assert.equal(err.raw.code, '57014');
+        assert.equal(pool.idleCount, pool.totalCount, 'all pool clients should have been released');
+      });
+
+      it('should not affect a query which finishes in time', async () => {
+        // when
+        const { rows } = await datastore.sendNativeQuery('SELECT 1 AS a').timeout(1000);
+
+        // then
+        assert.deepEqual(rows, [ { a:1 } ]);
+      });
+
+      it('should restore the connection\'s statement_timeout', async () => {
+        await datastore.leaseConnection(async client => {
           // given
-          const updater = Simple.updateOne(-1).set({});
+          await client.query(`SET statement_timeout = '10s'`);
 
-          // expect
-          assert.isFunction(updater.then);
+          // when
+          await datastore.sendNativeQuery('SELECT pg_sleep(5)').timeout(50).usingConnection(client).tolerate(() => {});
+          await datastore.sendNativeQuery('SELECT 1').timeout(1000).usingConnection(client);
+
+          // then
+          const { rows } = await client.query(`SELECT current_setting('statement_timeout') AS t`);
+          assert.equal(rows[0].t, '10s');
+
+          await client.query('RESET statement_timeout');
         });
+      });
 
-        it('should allow transactions', () => {
+      it('should restore the statement_timeout inside a transaction', async () => {
+        await datastore.transaction(async client => {
           // given
-          const updater = Simple.updateOne(-1).set({});
+          await client.query(`SET LOCAL statement_timeout = '10s'`);
 
-          // expect
-          assert.isFunction(updater.usingConnection);
+          // when
+          await datastore.sendNativeQuery('SELECT 1').timeout(1000).usingConnection(client);
+
+          // then
+          const { rows } = await client.query(`SELECT current_setting('statement_timeout') AS t`);
+          assert.equal(rows[0].t, '10s');
         });
+      });
 
-        it('should always return matched value', async () => {
+      it('should not commit a transaction begun on a supplied connection', async () => {
+        await datastore.leaseConnection(async client => {
           // given
-          await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+          await datastore.sendNativeQuery('BEGIN').usingConnection(client);
+          await Simple.create({ name:'a' }).usingConnection(client);
 
           // when
-          const matched = await Simple
-              .updateOne({ name:'alice' })
-              .set({});
+          await Simple.find().timeout(1000).usingConnection(client);
+          await datastore.sendNativeQuery('ROLLBACK').usingConnection(client);
+        });
+
+        // then
+        assert.deepEqual(await Simple.find(), []);
+      });
+
+      it('should restore the statement_timeout of a supplied connection', async () => {
+        await datastore.leaseConnection(async client => {
+          // when
+          await datastore.sendNativeQuery('SELECT 1').timeout(1000).usingConnection(client);
 
           // then
-          assert.deepEqual(matched, { id:1, name:'alice' });
+          const { rows } = await client.query(`SELECT current_setting('statement_timeout') AS t`);
+          assert.equal(rows[0].t, '0');
         });
       });
 
-      it('should update a single row', async () => {
-        // given
-        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+      it('should commit a query run in its own transaction', async () => {
+        // when
+        await Simple.create({ name:'a' }).timeout(1000);
+
+        // then
+        assert.deepEqual(await Simple.find(), [ { id:1, name:'a' } ]);
+      });
 
+      it('should roll back a transaction when a query in it times out', async () => {
         // when
-        await Simple.updateOne(1).set({ name:'charlie' });
+        const err = await rejectionOf(datastore.transaction(async client => {
+          await Simple.create({ name:'a' }).usingConnection(client);
+          await datastore.sendNativeQuery('SELECT pg_sleep(5)').timeout(50).usingConnection(client);
+        }));
 
         // then
-        const { rows } = await dbQuery('SELECT * FROM Simple ORDER BY id');
-        assert.deepEqual(rows, [ { id:1, name:'charlie' }, { id:2, name:'bob' } ]);
+        assert.equal(err.code, 'E_QUERY_TIMEOUT');
+        assert.deepEqual(await Simple.find(), []);
+        assert.equal(pool.idleCount, pool.totalCount, 'all pool clients should have been released');
       });
 
-      it('should throw if multiple rows are matched', async () => {
+      it('should be interceptable', async () => {
+        // when
+        const err = await rejectionOf(datastore.sendNativeQuery('SELECT pg_sleep(5)')
+          .timeout(50)
+          .intercept('E_QUERY_TIMEOUT', () => new Error('too slow')));
+
+        // then
+        assert.equal(err.message, 'too slow');
+      });
+
+      it('should apply to model queries', async () => {
         // given
-        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+        const unlock = await lockSimpleTable();
 
-        // when
         try {
-          await Simple.updateOne({}).set({ name:'charlie' });
-          throw 'unexpected';
-        } catch(err) {
+          // when
+          const errs = await Promise.all([
+            rejectionOf(Simple.find().timeout(50)),
+            rejectionOf(Simple.findOrCreate({ name:'a' }, { name:'a' }).timeout(50)),
+          ]);
+
           // then
-          assert.equal(err.code, 21000);
+          assert.deepEqual(errs.map(err => err.code), [ 'E_QUERY_TIMEOUT', 'E_QUERY_TIMEOUT' ]);
+        } finally {
+          await unlock();
         }
+        assert.equal(pool.idleCount, pool.totalCount, 'all pool clients should have been released');
       });
 
-      it('should not update undefined fields', async () => {
+      it('should apply to stream()', async () => {
         // given
-        await dbQuery(`INSERT INTO WithDefaults (str_no_def, str_def, num_no_def, num_def) VALUES ('a', 'b', 1, 2)`);
+        const unlock = await lockSimpleTable();
 
-        // when
-        await WithDefaults.updateOne(1).set({ str_no_def:'c' });
+        try {
+          // when
+          const err = await rejectionOf(Simple.stream().timeout(50).eachRecord(() => {}));
 
-        // then
-        const { rows } = await dbQuery('SELECT * FROM WithDefaults ORDER BY id');
-        assert.deepEqual(rows, [ { id:1, str_no_def:'c', str_def:'b', num_no_def:1, num_def:2 } ]);
+          // then
+          assert.equal(err.code, 'E_QUERY_TIMEOUT');
+        } finally {
+          await unlock();
+        }
+        assert.equal(pool.idleCount, pool.totalCount, 'all pool clients should have been released');
       });
-    });
 
-    describe('destroy()', () => {
-      it('should work without args', async () => {
+      it('should reject invalid timeouts', () => {
         // expect
-        assert.deepEqual(await Simple.destroy(), []);
+        assert.throws(() => datastore.sendNativeQuery('SELECT 1').timeout(-1), 'Timeout must be a non-negative integer.');
+        assert.throws(() => datastore.sendNativeQuery('SELECT 1').timeout('1s'), 'Timeout must be a non-negative integer.');
       });
 
-      it('should treat an empty object as DELETing whole table', async () => {
-        // expect
-        assert.deepEqual(await Simple.destroy({}), []);
-      });
+      describe('with a statement_timeout for the pool', () => {
+        let timeoutPool;
 
-      it('should DELETE multiple rows', async () => {
-        // given
-        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob')`);
+        beforeEach(() => {
+          timeoutPool = new pg.Pool({ ...pool.options, statement_timeout:50 });
+          datastore = plimsoll(timeoutPool, {});
+        });
 
-        // when
-        await Simple.destroy();
+        afterEach(async () => {
+          await timeoutPool.end();
+        });
 
-        // then
-        const { rows } = await dbQuery('SELECT * FROM Simple');
-        assert.deepEqual(rows, []);
-      });
+        it('should time out slow queries by default', async () => {
+          // when
+          const err = await rejectionOf(datastore.sendNativeQuery('SELECT pg_sleep(5)'));
 
-      it('should not support select() chainging', async () => {
-        // TODO it's actually quite reasonable to select fields when deleting,
-        // and can be implemented using RETURNING
-        try {
+          // then
+          assert.equal(err.code, 'E_QUERY_TIMEOUT');
+        });
+
+        it('should allow timeout(0) to disable the default', async () => {
           // when
-          assert.deepEqual(await Simple.destroy({ select:[ 'id' ] }));
-          assert.fail('should have thrown');
-        } catch(e) {
+          const { rows } = await datastore.sendNativeQuery('SELECT pg_sleep(0.1)::text AS slept').timeout(0);
+
           // then
-          assert.equal(e.message, 'Cannot understand use of select()/{ select } in a destroy() call.');
-        }
+          assert.deepEqual(rows, [ { slept:'' } ]);
+        });
       });
     });
 
-    describe('destroyOne()', () => {
-      beforeEach(async () => {
-        await dbQuery(`INSERT INTO Simple (name) VALUES ('alice'), ('bob'), ('bob')`);
+    describe('abort()', () => {
+      let controller;
+
+      beforeEach(function() {
+        const { AbortController } = global;
+        if(!AbortController) this.skip(); // Node.js < 15
+        controller = new AbortController();
       });
 
-      it('should have no effect if there is no match', async () => {
+      it('should cancel a running query', async () => {
+        // given
+        const query = datastore.sendNativeQuery('SELECT pg_sleep(5)').abort(controller.signal);
+
         // when
-        await Simple.destroyOne({ name:'charlie' });
+        setTimeout(() => controller.abort(), 50);
+        const err = await rejectionOf(query);
 
         // then
-        const { rows } = await dbQuery('SELECT * FROM Simple');
-        assert.equal(rows.length, 3);
-        assert.deepEqual(rows, [ { id:1, name:'alice' }, { id:2, name:'bob' }, { id:3, name:'bob' } ]);
+        assert.equal(err.name, 'AbortError');
+        assert.equal(err.code, 'E_QUERY_CANCELLED');
+        assert.equal(err.message, 'Query was cancelled.');
+        assert.equal(err.raw.code, '57014');
+        assert.equal(pool.idleCount, pool.totalCount, 'all pool clients should have been released');
       });
 
-      it('should delete the single match if there is one', async () => {
+      it('should not run a query whose signal is already aborted', async () => {
+        // given
+        const events = [];
+        datastore.on('queryStart', e => events.push(e));
+        controller.abort();
+
         // when
-        await Simple.destroyOne({ name:'alice' });
+        const err = await rejectionOf(datastore.sendNativeQuery('SELECT 1').abort(controller.signal));
 
         // then
-        const { rows } = await dbQuery('SELECT * FROM Simple');
-        assert.equal(rows.length, 2);
-        assert.deepEqual(rows, [ { id:2, name:'bob' }, { id:3, name:'bob' } ]);
+        assert.equal(err.code, 'E_QUERY_CANCELLED');
+        assert.deepEqual(events, []);
       });
 
-      it('should throw if more than one match (no properties to match)', async () => {
+      it('should not affect a query which finishes before the signal is aborted', async () => {
         // when
+        const { rows } = await datastore.sendNativeQuery('SELECT 1 AS a').abort(controller.signal);
+        controller.abort();
+
+        // then
+        assert.deepEqual(rows, [ { a:1 } ]);
+        assert.deepEqual((await datastore.sendNativeQuery('SELECT 2 AS b')).rows, [ { b:2 } ]);
+      });
+
+      it('should cancel model queries', async () => {
+        // given
+        const unlock = await lockSimpleTable();
+
         try {
-          await Simple.destroyOne();
-          throw 'unexpected';
-        } catch(err) {
-          assert.equal(err.code, 21000) // "more than one row returned by a subquery used as an expression"
+          // when
+          setTimeout(() => controller.abort(), 50);
+          const err = await rejectionOf(Simple.create({ name:'a' }).abort(controller.signal));
+
+          // then
+          assert.equal(err.code, 'E_QUERY_CANCELLED');
+        } finally {
+          await unlock();
         }
+        assert.deepEqual(await Simple.find(), []);
       });
 
-      it('should throw if more than one match (matched properties)', async () => {
+      it('should not cancel another statement on a shared connection', async () => {
+        await datastore.leaseConnection(async client => {
+          // given
+          const other = client.query('SELECT pg_sleep(0.2)').then(() => 'finished', err => err.message);
+          const query = datastore.sendNativeQuery('SELECT 1').usingConnection(client).abort(controller.signal);
+
+          // when
+          setTimeout(() => controller.abort(), 50);
+          await query.tolerate(() => {});
+
+          // then
+          assert.equal(await other, 'finished');
+        });
+      });
+
+      it('should not run further statements once aborted', async () => {
+        // given
+        await Simple.createEach([ { name:'a' }, { name:'b' } ]);
+        const batches = [];
+
         // when
-        try {
-          await Simple.destroyOne({ name:'bob' });
-          throw 'unexpected';
-        } catch(err) {
-          assert.equal(err.code, 21000) // "more than one row returned by a subquery used as an expression"
-        }
+        const err = await rejectionOf(Simple.stream().abort(controller.signal).eachBatch(1, records => {
+          batches.push(records);
+          controller.abort();
+        }));
+
+        // then
+        assert.equal(err.code, 'E_QUERY_CANCELLED');
+        assert.deepEqual(batches, [ [ { id:1, name:'a' } ] ]);
+        assert.equal(pool.idleCount, pool.totalCount, 'all pool clients should have been released');
+      });
+
+      it('should require an AbortSignal', () => {
+        // expect
+        assert.throws(() => datastore.sendNativeQuery('SELECT 1').abort({}), 'abort() requires an AbortSignal.');
       });
     });
   });
@@ -969,12 +4955,28 @@ describe('plimsoll', () => {
       assert.deepEqual(await Simple.find().meta({ schemaName }), [ { id:1, name:'alice' }, { id:2, name:'bob' } ]);
     });
 
+    it('should reject unsupported meta properties', () => {
+      try {
+        // when
+        Simple.find().meta({ schemaName, nonsense:true });
+        assert.fail('should have thrown');
+      } catch(e) {
+        // then
+        assert.equal(e.message, 'Unsupported meta properties: nonsense; supported properties are: makeLikeModifierCaseInsensitive,populateStrategy,schemaName,skipAllLifecycleCallbacks');
+      }
+    });
+
     it('should support findOne()', async () => {
       // expect
       // TODO insert meta() call
       assert.deepEqual(await Simple.findOne({ name:'bob' }).meta({ schemaName }), { id:2, name:'bob' });
     });
 
+    it('should support count()', async () => {
+      // expect
+      assert.strictEqual(await Simple.count({ name:'bob' }).meta({ schemaName }), 1);
+    });
+
     it('should support create()', async () => {
       // when
       // TODO insert meta() call
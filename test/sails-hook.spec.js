@@ -6,10 +6,12 @@ const sailsHook = require('../src/sails-hook');
 describe('sails-hook', () => {
   // given
   const pool = {};
+  const analyticsPool = {};
   const sails = {
     config: {
       datastores: {
-        default: { pool },
+        default:   { pool },
+        analytics: { pool:analyticsPool },
       },
       globals: { models:true },
       models: {},
@@ -69,6 +71,219 @@ describe('sails-hook', () => {
     it('should define transaction()', () => {
       assert.isFunction(datastore.transaction);
     });
+
+    it('should return the default datastore when asked by name', () => {
+      assert.equal(sails.getDatastore('default'), datastore);
+    });
+
+    it('should return other named datastores', () => {
+      const analytics = sails.getDatastore('analytics');
+      assert.equal(analytics.manager.pool, analyticsPool);
+      assert.isFunction(analytics.sendNativeQuery);
+      assert.isFunction(analytics.transaction);
+      assert.notEqual(analytics.sendNativeQuery, sails.sendNativeQuery);
+    });
+
+    it('should throw for an unknown datastore', () => {
+      assert.throws(() => sails.getDatastore('nonsense'), 'Unknown datastore: nonsense');
+    });
+  });
+
+  describe('waterline datastore API', () => {
+    let datastore;
+    before(() => {
+      datastore = sails.getDatastore();
+    });
+
+    it('should expose name and config', () => {
+      assert.equal(datastore.name, 'default');
+      assert.deepEqual(datastore.config, { pool });
+    });
+
+    it('should expose leaseConnection()', () => {
+      assert.isFunction(datastore.leaseConnection);
+    });
+
+    it('should expose a driver with promise-based connection methods', async () => {
+      // given
+      const realPool = require('./postgres-pool');
+      const manager = { pool:realPool };
+      const { driver } = datastore;
+
+      // when
+      const { connection } = await driver.getConnection({ manager });
+      let result;
+      try {
+        await driver.beginTransaction({ connection });
+        ({ result } = await driver.sendNativeQuery({ connection, nativeQuery:'SELECT $1::int + 1 AS n', valuesToEscape:[ 2 ] }));
+        await driver.rollbackTransaction({ connection });
+      } finally {
+        await driver.releaseConnection({ connection });
+      }
+
+      // then
+      assert.deepEqual(result.rows, [ { n:3 } ]);
+      assert.isFunction(driver.commitTransaction);
+    });
+
+    describe('driver', () => {
+      const realPool = require('./postgres-pool');
+      const manager = { pool:realPool };
+      let driver;
+
+      beforeEach(() => {
+        ({ driver } = datastore);
+      });
+
+      it('should support .exec() callbacks', async () => {
+        // when
+        const { connection } = await new Promise((resolve, reject) => {
+          driver.getConnection({ manager }).exec((err, output) => err ? reject(err) : resolve(output));
+        });
+        const { result } = await new Promise((resolve, reject) => {
+          driver.sendNativeQuery({ connection, nativeQuery:'SELECT 1 AS n' }).exec((err, output) => err ? reject(err) : resolve(output));
+        });
+        await driver.releaseConnection({ connection });
+
+        // then
+        assert.deepEqual(result.rows, [ { n:1 } ]);
+      });
+
+      it('should route failed queries to the queryFailed exit', async () => {
+        // given
+        const { connection } = await driver.getConnection({ manager });
+
+        try {
+          // when
+          const exited = await new Promise((resolve, reject) => {
+            driver.sendNativeQuery({ connection, nativeQuery:'SELECT * FROM no_such_table' }).switch({
+              error:       reject,
+              queryFailed: ({ error }) => resolve(error),
+              success:     () => reject(new Error('should have failed')),
+            });
+          });
+
+          // then
+          assert.equal(exited.code, '42P01');
+        } finally {
+          await driver.releaseConnection({ connection });
+        }
+      });
+
+      it('should pass other exits to .exec() as errors', async () => {
+        // when
+        const err = await new Promise(resolve => driver.releaseConnection({ connection:{} }).exec(resolve));
+
+        // then
+        assert.equal(err.exit, 'badConnection');
+        assert.deepEqual(err.raw, { meta:undefined });
+      });
+
+      it('should not commit a transaction begun with the driver when a query has a timeout()', async () => {
+        // given
+        const { connection } = await driver.getConnection({ manager });
+
+        try {
+          await driver.sendNativeQuery({ connection, nativeQuery:'CREATE TEMPORARY TABLE timeout_test ( n INT )' });
+          await driver.beginTransaction({ connection });
+          await driver.sendNativeQuery({ connection, nativeQuery:'INSERT INTO timeout_test VALUES (1)' });
+
+          // when
+          await datastore.sendNativeQuery('SELECT 1').timeout(1000).usingConnection(connection);
+          await driver.rollbackTransaction({ connection });
+
+          // then
+          const { result } = await driver.sendNativeQuery({ connection, nativeQuery:'SELECT n FROM timeout_test' });
+          assert.deepEqual(result.rows, []);
+        } finally {
+          await driver.sendNativeQuery({ connection, nativeQuery:'DROP TABLE IF EXISTS timeout_test' });
+          await driver.releaseConnection({ connection });
+        }
+      });
+
+      it('should parse unique violations with parseNativeQueryError()', async () => {
+        // given
+        const nativeQueryError = { code:'23505', detail:'Key (email)=(a@example.com) already exists.' };
+
+        // expect
+        assert.deepEqual((await driver.parseNativeQueryError({ nativeQueryError })).footprint, { identity:'notUnique', keys:[ 'email' ] });
+        assert.deepEqual((await driver.parseNativeQueryError({ nativeQueryError:{ code:'42P01' } })).footprint, { identity:'catchall' });
+        assert.deepEqual((await driver.parseNativeQueryError({ nativeQueryError:{ code:'23503' } })).footprint, { identity:'catchall' });
+      });
+
+      it('should create and destroy managers', async () => {
+        // given
+        const { manager } = await driver.createManager({ connectionString:process.env.POSTGRES_URL || 'postgres://example' });
+
+        // expect
+        assert.instanceOf(manager.pool, require('pg').Pool);
+        await driver.destroyManager({ manager });
+      });
+    });
+  });
+
+  describe('models with a datastore setting', () => {
+    it('should route models to the default datastore', () => {
+      assert.equal(sails.models.thing.datastore, 'default');
+      assert.equal(sails.models.thing.getDatastore(), sails.getDatastore());
+    });
+
+    it('should route models to their named datastore', () => {
+      assert.equal(sails.models.metric.datastore, 'analytics');
+      assert.equal(sails.models.metric.getDatastore(), sails.getDatastore('analytics'));
+    });
+
+    it('should throw at lift for a model with an unknown datastore', () => {
+      // given
+      const cloned = _.cloneDeep(sails);
+      delete cloned.config.datastores.analytics;
+
+      // expect
+      assert.throws(() => sailsHook(cloned), 'Unknown datastore for model Metric: analytics');
+    });
+  });
+
+  it('should not pass ambientTransactions to the pool config', function() {
+    if(!require('async_hooks').AsyncLocalStorage) this.skip(); // Node.js < 12.17
+
+    // given
+    const cloned = _.cloneDeep(sails);
+    delete cloned.config.datastores.default.pool;
+    cloned.config.datastores.default.url = 'postgres://example';
+    cloned.config.datastores.default.ambientTransactions = true;
+
+    // when
+    sailsHook(cloned);
+
+    // then
+    assert.isUndefined(cloned.getDatastore().manager.pool.options.ambientTransactions);
+    assert.isFunction(cloned.getDatastore().withoutTransaction);
+  });
+
+  it('should pass queryTimeout to the pool config as statement_timeout', () => {
+    // given
+    const cloned = _.cloneDeep(sails);
+    delete cloned.config.datastores.default.pool;
+    cloned.config.datastores.default.url = 'postgres://example';
+    cloned.config.datastores.default.queryTimeout = 1000;
+
+    // when
+    sailsHook(cloned);
+
+    // then
+    assert.isUndefined(cloned.getDatastore().manager.pool.options.queryTimeout);
+    assert.equal(cloned.getDatastore().manager.pool.options.statement_timeout, 1000);
+    assert.equal(cloned.getDatastore().config.queryTimeout, 1000);
+  });
+
+  it('should reject queryTimeout with a supplied pool', () => {
+    // given
+    const cloned = _.cloneDeep(sails);
+    cloned.config.datastores.default.queryTimeout = 1000;
+
+    // expect
+    assert.throws(() => sailsHook(cloned),
+        'Cannot set queryTimeout for datastore default with a supplied pool: set the pool\'s statement_timeout instead.');
   });
 
   it('should allow config with sails.config.datastores.default.url', () => {
@@ -84,6 +299,143 @@ describe('sails-hook', () => {
     assert.isOk(cloned.getDatastore().manager.pool);
   });
 
+  describe('schema verification at lift', () => {
+    const realPool = require('./postgres-pool');
+    let warnings;
+
+    const liftWith = async plimsollConfig => {
+      const lifted = {
+        config: {
+          ...sails.config,
+          datastores: {
+            default:   { pool:realPool },
+            analytics: { pool:realPool },
+          },
+          globals:  {},
+          plimsoll: plimsollConfig,
+        },
+        log: { warn: (...args) => warnings.push(args) },
+      };
+      const { initialize } = sailsHook(lifted);
+      await new Promise((resolve, reject) => initialize(err => err ? reject(err) : resolve()));
+    };
+
+    beforeEach(async () => {
+      warnings = [];
+
+      await realPool.query('DROP SCHEMA IF EXISTS public CASCADE');
+      await realPool.query('CREATE SCHEMA public');
+      await realPool.query('CREATE TABLE thing  ( id SERIAL PRIMARY KEY, category TEXT )');
+      await realPool.query('CREATE TABLE metric ( id SERIAL PRIMARY KEY, name TEXT, value INT )');
+    });
+
+    it('should not verify the schema unless configured', async () => {
+      // given
+      await realPool.query('DROP TABLE metric');
+
+      // expect
+      await liftWith(undefined);
+      assert.deepEqual(warnings, []);
+    });
+
+    it('should lift when the schema matches the models', async () => {
+      // expect
+      await liftWith({ verifySchema:'strict' });
+      assert.deepEqual(warnings, []);
+    });
+
+    it('should log drift as warnings', async () => {
+      // given
+      await realPool.query('ALTER TABLE metric DROP COLUMN value');
+
+      // when
+      await liftWith({ verifySchema:true });
+
+      // then
+      assert.deepEqual(warnings, [
+        [ 'plimsoll: database schema does not match models:',
+          { datastore:'analytics', model:'Metric', table:'metric', problem:'missingColumn', attribute:'value', column:'value' } ],
+      ]);
+    });
+
+    it('should fail the lift on drift in strict mode', async () => {
+      // given
+      await realPool.query('DROP TABLE thing');
+
+      // when
+      let err;
+      try {
+        await liftWith({ verifySchema:'strict' });
+      } catch(e) {
+        err = e;
+      }
+
+      // then
+      assert.isOk(err);
+      assert.equal(err.code, 'E_SCHEMA_DRIFT');
+      assert.deepEqual(err.drift, [ { datastore:'default', model:'Thing', table:'thing', problem:'missingTable' } ]);
+      assert.deepEqual(warnings, []);
+    });
+  });
+
+  describe('query timeout', () => {
+    const realPool = require('./postgres-pool');
+
+    it('should time out queries after the datastore\'s queryTimeout', async () => {
+      // given
+      const lifted = {
+        config: {
+          ...sails.config,
+          datastores: {
+            default:   { ...realPool.options, queryTimeout:50 },
+            analytics: { pool:realPool },
+          },
+          globals: {},
+        },
+      };
+      sailsHook(lifted);
+
+      // when
+      const timedOut = await lifted.getDatastore().sendNativeQuery('SELECT pg_sleep(5)').tolerate('E_QUERY_TIMEOUT', () => 'timed out');
+      const { rows } = await lifted.getDatastore('analytics').sendNativeQuery('SELECT pg_sleep(0.1)::text AS slept');
+
+      // then
+      assert.equal(timedOut, 'timed out');
+      assert.deepEqual(rows, [ { slept:'' } ]);
+
+      await lifted.getDatastore().manager.pool.end();
+    });
+  });
+
+  describe('slow query log', () => {
+    const realPool = require('./postgres-pool');
+
+    it('should log slow queries to sails.log.warn when configured', async () => {
+      // given
+      const warnings = [];
+      const lifted = {
+        config: {
+          ...sails.config,
+          datastores: {
+            default:   { pool:realPool },
+            analytics: { pool:realPool },
+          },
+          globals:  {},
+          plimsoll: { slowQueryLog:{ threshold:0 } },
+        },
+        log: { warn: (...args) => warnings.push(args) },
+      };
+      sailsHook(lifted);
+
+      // when
+      await lifted.getDatastore('analytics').sendNativeQuery('SELECT $1::int AS n', [ 1 ]);
+
+      // then
+      assert.equal(warnings.length, 1);
+      assert.deepInclude(warnings[0][1], { datastore:'analytics', sql:'SELECT $1::int AS n', params:[ '[REDACTED]' ] });
+    });
+  });
+
   describe('.attributes', () => {
     it('should move isIn to .validations sub property', () => {
       assert.isUndefined(sails.models.thing.attributes.category.isIn);
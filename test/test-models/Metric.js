@@ -0,0 +1,7 @@
+module.exports = {
+  datastore: 'analytics',
+  attributes: {
+    name:  { type:'string' },
+    value: { type:'number' },
+  },
+};